@@ -4,7 +4,7 @@
    - Robust parsing via Parser.parseAndProcessCSV (see parser.js)
    - KPIs (totals, average engagement, median PLR, track count)
    - Interactive table: sorting + search filter
-   - Scatter chart: Plays vs Likes with trend line and category coloring
+   - Charts (see charts.js): scatter, distributions, top-N, timeline, cumulative plays
    - Export computed analytics as CSV
 */
 
@@ -17,9 +17,58 @@
     fileInput: document.getElementById('file-input'),
     btnLoadSample: document.getElementById('load-sample'),
     btnExport: document.getElementById('export-csv'),
+    btnSaveSession: document.getElementById('save-session'),
+    btnOpenSession: document.getElementById('open-session'),
+    sessionInput: document.getElementById('session-input'),
+    exportDialog: document.getElementById('export-dialog'),
+    btnReport: document.getElementById('generate-report'),
+    reportDialog: document.getElementById('report-dialog'),
+    reportDataset: document.getElementById('report-dataset'),
+    report: document.getElementById('report'),
+    reportBody: document.getElementById('report-body'),
+    reportStatus: document.getElementById('report-status'),
+    btnPrintReport: document.getElementById('print-report'),
+    btnCloseReport: document.getElementById('close-report'),
+    exportSummary: document.getElementById('export-summary'),
+    exportLocale: document.getElementById('export-locale'),
+    exportColumns: document.getElementById('export-columns'),
+    exportColumnsAll: document.getElementById('export-columns-all'),
+    exportColumnsNone: document.getElementById('export-columns-none'),
+    exportCount: document.getElementById('export-count'),
+    btnImportPage: document.getElementById('import-page'),
+    importDialog: document.getElementById('import-dialog'),
+    importFile: document.getElementById('import-file'),
+    importName: document.getElementById('import-name'),
+    importText: document.getElementById('import-text'),
+    importStatus: document.getElementById('import-status'),
+    importPreview: document.getElementById('import-preview'),
+    importApply: document.getElementById('import-apply'),
+    mappingDialog: document.getElementById('mapping-dialog'),
+    mappingIntro: document.getElementById('mapping-intro'),
+    mappingFields: document.getElementById('mapping-fields'),
+    mappingHasHeader: document.getElementById('mapping-has-header'),
+    mappingPreview: document.getElementById('mapping-preview'),
+    mappingApply: document.getElementById('mapping-apply'),
     optMissingAsZero: document.getElementById('opt-missing-as-zero'),
     optShowQuality: document.getElementById('opt-show-quality'),
+    optAsOf: document.getElementById('opt-as-of'),
+    optDateBasis: document.getElementById('opt-date-basis'),
+    optNumberFormat: document.getElementById('opt-number-format'),
     categoryMode: document.getElementById('category-mode'),
+    categoryFixed: document.getElementById('category-fixed'),
+    categoryComposite: document.getElementById('category-composite'),
+    footerCategoryMode: document.getElementById('footer-category-mode'),
+    plrThresholdInputs: {
+      excellent: document.getElementById('thr-excellent'),
+      good: document.getElementById('thr-good'),
+      average: document.getElementById('thr-average'),
+    },
+    weightInputs: {
+      play_like_ratio: document.getElementById('w-plr'),
+      engagement_rate_pct: document.getElementById('w-engagement'),
+      like_pct: document.getElementById('w-like'),
+      plays_per_day: document.getElementById('w-ppd'),
+    },
     kpis: {
       totalPlays: document.getElementById('kpi-total-plays'),
       avgEng: document.getElementById('kpi-avg-engagement'),
@@ -29,25 +78,102 @@
     tabs: document.querySelectorAll('.tab'),
     tabpanels: document.querySelectorAll('.tabpanel'),
     search: document.getElementById('search'),
+    typeFilter: document.getElementById('type-filter'),
+    selectionChip: document.getElementById('selection-chip'),
+    queryErrors: document.getElementById('query-errors'),
+    filterBuilder: document.getElementById('filter-builder'),
+    filterCount: document.getElementById('filter-count'),
+    filterRanges: document.getElementById('filter-ranges'),
+    filterAddRange: document.getElementById('filter-add-range'),
+    filterCategories: document.getElementById('filter-categories'),
+    filterDatasets: document.getElementById('filter-datasets'),
+    filterDateFrom: document.getElementById('filter-date-from'),
+    filterDateTo: document.getElementById('filter-date-to'),
+    filterFlags: document.getElementById('filter-flags'),
+    viewSelect: document.getElementById('view-select'),
+    viewSave: document.getElementById('view-save'),
+    viewDelete: document.getElementById('view-delete'),
+    filterReset: document.getElementById('filter-reset'),
+    scatterColorBy: document.getElementById('scatter-color-by'),
+    scatterX: document.getElementById('scatter-x'),
+    scatterY: document.getElementById('scatter-y'),
+    scatterSize: document.getElementById('scatter-size'),
+    scatterXLog: document.getElementById('scatter-x-log'),
+    scatterYLog: document.getElementById('scatter-y-log'),
+    scatterTrend: document.getElementById('scatter-trend'),
+    optGroupByType: document.getElementById('opt-group-by-type'),
+    optIncludeReposts: document.getElementById('opt-include-reposts'),
+    typeRules: document.getElementById('type-rules'),
+    kpiByType: document.getElementById('kpi-by-type'),
     trackSearch: document.getElementById('trackSearch'),
     clearSearch: document.getElementById('clearSearch'),
     table: document.getElementById('data-table'),
     tbody: document.querySelector('#data-table tbody'),
+    extraColumns: document.getElementById('extra-columns'),
+    extraColumnChecks: document.getElementById('extra-column-checks'),
     insightsList: document.getElementById('insights-list'),
+    insightRules: document.getElementById('insight-rules'),
     scatterDiv: document.getElementById('scatter-plays-likes'),
+    categoryBarsDiv: document.getElementById('category-bars'),
+    histogramDiv: document.getElementById('histogram-chart'),
+    histogramMetric: document.getElementById('histogram-metric'),
+    topNDiv: document.getElementById('topn-chart'),
+    topNMetric: document.getElementById('topn-metric'),
+    topNCount: document.getElementById('topn-count'),
+    timelineDiv: document.getElementById('timeline-chart'),
+    cumulativeDiv: document.getElementById('cumulative-chart'),
+    historyDiv: document.getElementById('history-chart'),
+    historyTrack: document.getElementById('history-track'),
     artistControls: document.getElementById('artistControls'),
+    artistList: document.getElementById('artist-list'),
+    clearArtists: document.getElementById('clear-artists'),
+    artistRuleInputs: {
+      titleSeparators: document.getElementById('rule-title-separators'),
+      collabSeparators: document.getElementById('rule-collab-separators'),
+      featMarkers: document.getElementById('rule-feat-markers'),
+      remixKeywords: document.getElementById('rule-remix-keywords'),
+    },
+    ruleStripNumbers: document.getElementById('rule-strip-numbers'),
+    ruleOverrides: document.getElementById('rule-overrides'),
     datasetControls: document.getElementById('dataset-controls'),
+    workspaceSelect: document.getElementById('workspace-select'),
+    workspaceNew: document.getElementById('workspace-new'),
+    workspaceDelete: document.getElementById('workspace-delete'),
+    workspaceClear: document.getElementById('workspace-clear'),
+    workspaceStatus: document.getElementById('workspace-status'),
+    optDedupe: document.getElementById('opt-dedupe'),
+    sharedBody: document.querySelector('#shared-table tbody'),
+    compareTable: document.getElementById('compare-table'),
+    compareEmpty: document.getElementById('compare-empty'),
+    boxLikePct: document.getElementById('box-like-pct'),
+    boxPlaysPerDay: document.getElementById('box-plays-per-day'),
+    sharedEmpty: document.getElementById('shared-empty'),
     detailsPanel: document.getElementById('detailsPanel'),
+    qualitySummary: document.getElementById('quality-summary'),
+    qualityEmpty: document.getElementById('quality-empty'),
+    qualityBody: document.querySelector('#quality-table tbody'),
+    repostsEmpty: document.getElementById('reposts-empty'),
+    repostSummaryBody: document.querySelector('#repost-summary-table tbody'),
+    repostBody: document.querySelector('#repost-table tbody'),
   };
 
   // ---------- State ----------
-  let datasets = [];          // array of { name, color, data: { rows, totals, thresholds, avgEngagement, medianPLR }, visible: true }
-  let currentRows = [];       // filtered + sorted rows for table and charts
+  let datasets = [];          // array of { name, color, text, options, capturedAt, data: { rows, totals, thresholds, avgEngagement, medianPLR }, visible: true }
+  let historySeries = [];     // Snapshots.buildHistory() output: series with >= 2 dated snapshots
+  let sharedTracks = [];      // Duplicates.findSharedTracks() output: same release on several artist pages
+  let filteredRows = [];      // visible rows after search query, type filter and filter builder; the charts plot these
+  let filterSpec = Filters.emptySpec(); // filter builder state (see Filters.matchesSpec)
+  let currentRows = [];       // filteredRows narrowed to the chart selection, sorted, for the table
+  let selection = null;       // Set of rowKey()s brushed on a chart; null = no selection
+  let highlightKey = null;    // rowKey() of the table row whose point is ringed on the charts
   let sortState = { key: 'plays', dir: 'desc' };
+  let shownExtraColumns = []; // keys of extra CSV columns (row.extra) shown in the table
   let scatterChart = null;
   let currentSearchTerm = '';
-  let artistData = {};        // Grouped data by artist
-  let selectedArtists = [];
+  let artistData = [];        // Parser.artistRollups() over visible rows
+  let selectedArtists = [];   // lowercase artist keys; empty = all artists
+  let workspaceName = 'Default';
+  let restoringWorkspace = true; // no saves until the stored workspace has been restored
 
   // ---------- Utils ----------
   const fmt = {
@@ -66,12 +192,80 @@
     date(s) {
       return s || '';
     },
+    // Posted date plus a marker when the source label was coarser than a day
+    postedWithPrecision(iso, precision) {
+      if (!iso) return '';
+      if (!precision || precision === 'day') return iso;
+      return iso + ' <span class="precision-tag" title="Source label precision">~' + precision + '</span>';
+    },
+    range(lo, hi, format) {
+      if (!Number.isFinite(lo) || !Number.isFinite(hi)) return '';
+      if (format(lo) === format(hi)) return format(lo);
+      return format(lo) + '–' + format(hi);
+    },
+    signedPct(n) {
+      if (n === null || n === undefined || !Number.isFinite(n)) return '';
+      return (n > 0 ? '+' : '') + (Math.round(n * 10) / 10).toFixed(1) + '%';
+    },
+    delta(n) {
+      if (n === null || n === undefined || !Number.isFinite(n)) return '';
+      return (n > 0 ? '+' : '') + n.toLocaleString();
+    },
+    escape(s) {
+      return String(s ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+    },
+    // Title plus badges: same release on several loaded artist pages, data quality issues
+    // (when "Show data quality flags" is on) and corrected values
+    titleWithBadges(d) {
+      let html = fmt.escape(d.title);
+      if (d.duplicate_count > 1) {
+        html += ' <span class="dup-tag" title="Same track found on ' + d.duplicate_count + ' loaded datasets">shared ×' + d.duplicate_count + '</span>';
+      }
+      const issues = els.optShowQuality?.checked ? rowIssues(d) : [];
+      if (issues.length) {
+        html += ' <span class="quality-tag" title="' + fmt.escape(issues.join('\n')) + '">⚠ ' + issues.length + '</span>';
+      }
+      if (d.row_type === 'repost') {
+        html += ' <span class="repost-tag" title="Reposted from another artist">repost</span>';
+      }
+      if (d.edited?.length) {
+        html += ' <span class="edit-tag" title="Corrected: ' + fmt.escape(d.edited.map(f => FIELD_LABELS[f]).join(', ')) + '">edited</span>';
+      }
+      return html;
+    },
+    typeChip(type) {
+      if (!type) return '';
+      return '<span class="chip type-chip type-' + type + '">' + (TYPE_LABELS[type] || type) + '</span>';
+    },
     categoryChip(cat) {
       const cls = catClass(cat);
       return '<span class="chip ' + cls + '">' + cat + '</span>';
     }
   };
 
+  const TYPE_LABELS = {
+    original: 'Original',
+    remix: 'Remix',
+    edit: 'Edit',
+    podcast: 'Podcast/Mix',
+    live: 'Live',
+    premiere: 'Premiere',
+  };
+  const TYPE_COLORS = {
+    original: '#7bd88f',
+    remix: '#5cc8ff',
+    edit: '#6dd3c1',
+    podcast: '#f3c969',
+    live: '#ff8fa3',
+    premiere: '#e0aaff',
+  };
+  const CATEGORY_COLORS = {
+    Excellent: '#73d98a',
+    Good: '#6dd3c1',
+    Average: '#c79af3',
+    Poor: '#ff8fa3',
+  };
+
   function catClass(cat) {
     switch ((cat || '').toLowerCase()) {
       case 'excellent': return 'cat-excellent';
@@ -94,9 +288,194 @@
       missingAsZero: !!els.optMissingAsZero?.checked,
       showQuality: !!els.optShowQuality?.checked,
       categoryMode: els.categoryMode?.value || 'quantile',
+      asOf: els.optAsOf?.value || null,
+      dateBasis: els.optDateBasis?.value || 'nominal',
+      numberFormat: els.optNumberFormat?.value || 'auto',
+      plrThresholds: readNumberInputs(els.plrThresholdInputs, Parser.DEFAULT_PLR_THRESHOLDS),
+      compositeWeights: readNumberInputs(els.weightInputs, Parser.DEFAULT_COMPOSITE_WEIGHTS),
+      artistRules: readArtistRules(),
+      typeRules: readTypeRules(),
+      groupByType: !!els.optGroupByType?.checked,
+      reposts: els.optIncludeReposts?.checked ? 'include' : 'exclude',
     };
   }
 
+  // One line per type: "podcast: podcast, minimix, set"
+  function readTypeRules() {
+    const rules = Object.assign({}, Parser.DEFAULT_TYPE_RULES);
+    if (!els.typeRules) return rules;
+    for (const line of els.typeRules.value.split('\n')) {
+      const idx = line.indexOf(':');
+      if (idx === -1) continue;
+      const type = line.slice(0, idx).trim().toLowerCase();
+      if (!(type in Parser.DEFAULT_TYPE_RULES)) continue;
+      rules[type] = line.slice(idx + 1).split(',').map(k => k.trim()).filter(Boolean);
+    }
+    return rules;
+  }
+
+  function writeTypeRules(rules) {
+    if (!els.typeRules) return;
+    els.typeRules.value = Object.keys(Parser.DEFAULT_TYPE_RULES)
+      .map(type => `${type}: ${(rules[type] || []).join(', ')}`)
+      .join('\n');
+  }
+
+  // Token lists are space separated ("& , + x vs"); overrides are "title text => Artist A, Artist B" lines
+  function readArtistRules() {
+    const rules = Object.assign({}, Parser.DEFAULT_ARTIST_RULES);
+    for (const [key, input] of Object.entries(els.artistRuleInputs)) {
+      if (input) rules[key] = input.value.split(/\s+/).filter(Boolean);
+    }
+    if (els.ruleStripNumbers) rules.stripLeadingNumbers = els.ruleStripNumbers.checked;
+    if (els.ruleOverrides) {
+      rules.overrides = els.ruleOverrides.value.split('\n').map(line => {
+        const [match, names] = line.split('=>');
+        if (!match || !names || !match.trim()) return null;
+        return { match: match.trim(), artists: names.split(',').map(n => n.trim()).filter(Boolean) };
+      }).filter(Boolean);
+    }
+    return rules;
+  }
+
+  function writeArtistRules(rules) {
+    for (const [key, input] of Object.entries(els.artistRuleInputs)) {
+      if (input && Array.isArray(rules[key])) input.value = rules[key].join(' ');
+    }
+    if (els.ruleStripNumbers && typeof rules.stripLeadingNumbers === 'boolean') {
+      els.ruleStripNumbers.checked = rules.stripLeadingNumbers;
+    }
+    if (els.ruleOverrides && Array.isArray(rules.overrides)) {
+      els.ruleOverrides.value = rules.overrides.map(o => `${o.match} => ${(o.artists || []).join(', ')}`).join('\n');
+    }
+  }
+
+  function readNumberInputs(inputs, defaults) {
+    const out = {};
+    for (const [key, input] of Object.entries(inputs)) {
+      const v = parseFloat(input?.value);
+      out[key] = Number.isFinite(v) && v >= 0 ? v : defaults[key];
+    }
+    return out;
+  }
+
+  // ---------- Category settings ----------
+  const CATEGORY_SETTINGS_KEY = 'scAnalyser.categorySettings';
+
+  // Category mode, fixed thresholds and composite weights survive reloads
+  function saveCategorySettings() {
+    const { categoryMode, plrThresholds, compositeWeights } = getOptions();
+    try {
+      localStorage.setItem(CATEGORY_SETTINGS_KEY, JSON.stringify({ categoryMode, plrThresholds, compositeWeights }));
+    } catch (err) {
+      console.warn('Could not save category settings:', err);
+    }
+  }
+
+  function loadCategorySettings() {
+    let saved = null;
+    try {
+      saved = JSON.parse(localStorage.getItem(CATEGORY_SETTINGS_KEY) || 'null');
+    } catch (err) {
+      console.warn('Could not read category settings:', err);
+    }
+    if (!saved) return;
+    if (saved.categoryMode && els.categoryMode?.querySelector(`option[value="${saved.categoryMode}"]`)) {
+      els.categoryMode.value = saved.categoryMode;
+    }
+    for (const [key, input] of Object.entries(els.plrThresholdInputs)) {
+      if (input && Number.isFinite(saved.plrThresholds?.[key])) input.value = saved.plrThresholds[key];
+    }
+    for (const [key, input] of Object.entries(els.weightInputs)) {
+      if (input && Number.isFinite(saved.compositeWeights?.[key])) input.value = saved.compositeWeights[key];
+    }
+  }
+
+  // Show the settings block for the active mode and reflect it in the footer
+  function syncCategoryControls() {
+    const mode = els.categoryMode?.value || 'quantile';
+    if (els.categoryFixed) els.categoryFixed.hidden = mode !== 'fixed';
+    if (els.categoryComposite) els.categoryComposite.hidden = mode !== 'composite';
+    if (els.footerCategoryMode) {
+      const label = els.categoryMode?.selectedOptions[0]?.textContent || 'Quantile';
+      els.footerCategoryMode.textContent = `Categorization: ${label}`;
+    }
+  }
+
+  const ARTIST_RULES_KEY = 'scAnalyser.artistRules';
+
+  function saveArtistRules() {
+    try {
+      localStorage.setItem(ARTIST_RULES_KEY, JSON.stringify(readArtistRules()));
+    } catch (err) {
+      console.warn('Could not save title parsing rules:', err);
+    }
+  }
+
+  function loadArtistRules() {
+    let saved = null;
+    try {
+      saved = JSON.parse(localStorage.getItem(ARTIST_RULES_KEY) || 'null');
+    } catch (err) {
+      console.warn('Could not read title parsing rules:', err);
+    }
+    writeArtistRules(Object.assign({}, Parser.DEFAULT_ARTIST_RULES, saved || {}));
+  }
+
+  const TYPE_RULES_KEY = 'scAnalyser.typeRules';
+
+  function saveTypeRules() {
+    try {
+      localStorage.setItem(TYPE_RULES_KEY, JSON.stringify(readTypeRules()));
+    } catch (err) {
+      console.warn('Could not save content type rules:', err);
+    }
+  }
+
+  function loadTypeRules() {
+    let saved = null;
+    try {
+      saved = JSON.parse(localStorage.getItem(TYPE_RULES_KEY) || 'null');
+    } catch (err) {
+      console.warn('Could not read content type rules:', err);
+    }
+    writeTypeRules(Object.assign({}, Parser.DEFAULT_TYPE_RULES, saved || {}));
+  }
+
+  function onTypeRulesChange() {
+    saveTypeRules();
+    reprocessDatasets();
+  }
+
+  function onArtistRulesChange() {
+    saveArtistRules();
+    reprocessDatasets();
+  }
+
+  function onCategorySettingsChange() {
+    syncCategoryControls();
+    saveCategorySettings();
+    reprocessDatasets();
+  }
+
+  // Parse options for one dataset: global options anchored to its capture date,
+  // falling back to the global as-of date, then the day a session was saved (then to today),
+  // and read with the column mapping chosen when it was loaded
+  function datasetOptions(ds) {
+    const options = getOptions();
+    return Object.assign(options, {
+      asOf: ds.capturedAt || options.asOf || ds.anchorDate || null,
+      columns: ds.columns || null,
+      edits: ds.edits,
+    });
+  }
+
+  function isoDay(d) {
+    if (!(d instanceof Date) || isNaN(d)) return null;
+    const pad = (n) => String(n).padStart(2, '0');
+    return d.getFullYear() + '-' + pad(d.getMonth() + 1) + '-' + pad(d.getDate());
+  }
+
   function getDatasetColor(index) {
     const colors = [
       '#1f77b4', '#ff7f0e', '#2ca02c', '#d62728', '#9467bd',
@@ -105,55 +484,240 @@
     return colors[index % colors.length];
   }
 
-  function median(values) {
-    const arr = values.filter(Number.isFinite).slice().sort((a, b) => a - b);
-    if (arr.length === 0) return null;
-    const mid = Math.floor(arr.length / 2);
-    if (arr.length % 2 === 0) {
-      return (arr[mid - 1] + arr[mid]) / 2;
-    }
-    return arr[mid];
-  }
-
   // ---------- File Loading ----------
-  async function handleSingleCSV(text, filename) {
+  // capturedAt: snapshot date (YYYY-MM-DD) used as the anchor for relative POSTED values.
+  // A date in the file name is explicit; otherwise the global as-of date, then the
+  // file's last-modified date (fileDate) are used and follow later as-of changes.
+  async function handleSingleCSV(text, filename, fileDate) {
     try {
-      const data = Parser.parseAndProcessCSV(text, getOptions());
-      const name = filename.replace('.csv', '').replace(/_/g, ' ');
-      const color = getDatasetColor(datasets.length);
-      datasets.push({ name, color, data, visible: true });
+      const columns = await columnMapping(text, filename);
+      if (columns === false) return; // skipped in the mapping dialog
+      const explicitDate = Snapshots.dateFromFilename(filename);
+      const capturedAt = explicitDate || getOptions().asOf || fileDate || null;
+      const ds = buildDataset({
+        name: uniqueDatasetName(filename.replace('.csv', '').replace(/_/g, ' '), capturedAt),
+        color: getDatasetColor(datasets.length),
+        capturedAt,
+        capturedAtAuto: !explicitDate,
+        fileDate: fileDate || null,
+        columns,
+        visible: true,
+      }, text);
+      datasets.push(ds);
+      refreshCrossDataset();
       updateCombinedData();
       renderAll();
       createDatasetControls();
-      els.btnExport.disabled = datasets.length === 0;
+      syncDataButtons();
     } catch (err) {
       console.error('Parse error:', err);
       alert('Failed to parse CSV. See console for details.');
     }
   }
 
+  // Header actions that need at least one dataset
+  function syncDataButtons() {
+    const none = datasets.length === 0;
+    els.btnExport.disabled = none;
+    if (els.btnSaveSession) els.btnSaveSession.disabled = none;
+    if (els.btnReport) els.btnReport.disabled = none;
+  }
+
+  // Parse a dataset's CSV with the current options. meta: { name, color, capturedAt,
+  // capturedAtAuto, fileDate, anchorDate, columns, edits, visible } as created on upload or
+  // saved in a workspace or session. columns: the user's column mapping, null when detected.
+  // edits: corrections made in the Quality tab, by source line.
+  function buildDataset(meta, text) {
+    const ds = {
+      name: meta.name,
+      color: meta.color,
+      capturedAt: meta.capturedAt || null,
+      capturedAtAuto: !!meta.capturedAtAuto,
+      fileDate: meta.fileDate || null,
+      anchorDate: meta.anchorDate || null,
+      columns: meta.columns || null,
+      edits: meta.edits || {},
+      visible: meta.visible !== false,
+    };
+    const options = datasetOptions(ds);
+    const data = Parser.parseAndProcessCSV(text, options);
+    // Keep the source text so option changes can re-process without re-uploading
+    return Object.assign(ds, { text, options, data });
+  }
+
+  // Loading the same file twice (e.g. two snapshots of OKTA.csv) must not collide on name
+  function uniqueDatasetName(base, capturedAt) {
+    if (!datasets.some(ds => ds.name === base)) return base;
+    let name = capturedAt ? `${base} @ ${capturedAt}` : base;
+    for (let i = 2; datasets.some(ds => ds.name === name); i++) {
+      name = `${base} (${i})`;
+    }
+    return name;
+  }
+
+  // Re-run parsing + metrics for every loaded dataset with the current options.
+  // Visibility, colors, sort state and search term are left untouched.
+  function reprocessDatasets() {
+    if (datasets.length === 0) return;
+    for (const ds of datasets) {
+      reprocessDataset(ds);
+    }
+    refreshCrossDataset();
+    updateCombinedData();
+    renderAll();
+  }
+
+  function reprocessDataset(ds) {
+    try {
+      const options = datasetOptions(ds);
+      ds.data = Parser.parseAndProcessCSV(ds.text, options);
+      ds.options = options;
+    } catch (err) {
+      console.error('Re-process error for ' + ds.name + ':', err);
+    }
+  }
+
+  // Global as-of change: re-anchor datasets whose capture date was not set explicitly
+  function applyAsOfDate() {
+    const asOf = getOptions().asOf;
+    for (const ds of datasets) {
+      if (ds.capturedAtAuto) ds.capturedAt = asOf || ds.fileDate;
+    }
+    createDatasetControls();
+    reprocessDatasets();
+  }
+
+  // Recompute everything that links rows across datasets
+  function refreshCrossDataset() {
+    refreshHistory();
+    sharedTracks = Duplicates.findSharedTracks(datasets);
+  }
+
+  // Match tracks across snapshots of the same artist and annotate deltas/growth on rows
+  function refreshHistory() {
+    historySeries = Snapshots.buildHistory(datasets);
+    populateHistorySelect();
+  }
+
+  function populateHistorySelect() {
+    const sel = els.historyTrack;
+    if (!sel) return;
+    const previous = sel.value;
+    sel.innerHTML = '';
+    const tracks = historySeries.flatMap(s => s.tracks
+      .filter(t => t.points.length >= 2)
+      .map(t => ({ id: t.id, label: `${s.label} — ${t.title}` })));
+    if (tracks.length === 0) {
+      const opt = document.createElement('option');
+      opt.value = '';
+      opt.textContent = 'Load 2+ dated snapshots of the same artist';
+      sel.appendChild(opt);
+      sel.disabled = true;
+      return;
+    }
+    sel.disabled = false;
+    for (const t of tracks) {
+      const opt = document.createElement('option');
+      opt.value = t.id;
+      opt.textContent = t.label;
+      sel.appendChild(opt);
+    }
+    if (tracks.some(t => t.id === previous)) sel.value = previous;
+  }
+
+  function findHistoryTrack(id) {
+    for (const s of historySeries) {
+      const t = s.tracks.find(tr => tr.id === id);
+      if (t) return t;
+    }
+    return null;
+  }
+
   function updateCombinedData() {
     // Combine rows from all visible datasets
     currentRows = [];
-    artistData = {};
     datasets.forEach(ds => {
       if (ds.visible) {
-        ds.data.rows.forEach(row => {
+        Parser.countedRows(ds.data.rows, ds.options).forEach(row => {
           // Add dataset info to row
           row.datasetName = ds.name;
           row.datasetColor = ds.color;
           currentRows.push(row);
-          const artist = row.artist || 'Unknown';
-          if (!artistData[artist]) {
-            artistData[artist] = [];
-          }
-          artistData[artist].push(row);
         });
       }
     });
+    // Untitled credits fall back to the dataset (the artist page the CSV came from)
+    artistData = Parser.artistRollups(currentRows, r => r.datasetName || 'Unknown');
+    const known = new Set(artistData.map(a => a.key));
+    selectedArtists = selectedArtists.filter(k => known.has(k));
+    renderArtistControls();
     applySearch();
   }
 
+  // Lowercase keys of every artist credited on a row (dataset name if none)
+  function rowArtistKeys(row) {
+    const names = [...(row.artists || []), ...(row.featured || []), ...(row.remixers || [])];
+    if (names.length === 0) names.push(row.datasetName || 'Unknown');
+    return names.map(n => n.toLowerCase());
+  }
+
+  function matchesArtistFilter(row) {
+    if (selectedArtists.length === 0) return true;
+    return rowArtistKeys(row).some(k => selectedArtists.includes(k));
+  }
+
+  function creditsLabel(row) {
+    const parts = [];
+    if (row.artists?.length) parts.push(row.artists.join(' & '));
+    if (row.featured?.length) parts.push('feat. ' + row.featured.join(', '));
+    if (row.remixers?.length) parts.push('remix: ' + row.remixers.join(', '));
+    return parts.join(' · ') || row.datasetName || 'Unknown';
+  }
+
+  // Per-artist rollup table with a checkbox per artist; checked artists filter the charts
+  function renderArtistControls() {
+    if (!els.artistControls || !els.artistList) return;
+    els.artistControls.style.display = artistData.length ? 'block' : 'none';
+    els.artistList.innerHTML = '';
+    const frag = document.createDocumentFragment();
+    artistData.forEach((a, index) => {
+      const tr = document.createElement('tr');
+
+      const tdCheck = document.createElement('td');
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.id = `artist-${index}`;
+      checkbox.checked = selectedArtists.includes(a.key);
+      checkbox.addEventListener('change', () => {
+        selectedArtists = checkbox.checked
+          ? [...selectedArtists, a.key]
+          : selectedArtists.filter(k => k !== a.key);
+        renderCharts();
+      });
+      const label = document.createElement('label');
+      label.htmlFor = checkbox.id;
+      label.textContent = a.name;
+      tdCheck.className = 'artist-checkbox';
+      tdCheck.appendChild(checkbox);
+      tdCheck.appendChild(label);
+      tr.appendChild(tdCheck);
+
+      for (const val of [
+        String(a.tracks),
+        fmt.int(a.totals.plays),
+        fmt.int(a.totals.likes),
+        a.medianPLR != null ? fmt.num2(a.medianPLR) : '',
+        fmt.pct2(a.avgEngagement),
+      ]) {
+        const td = document.createElement('td');
+        td.textContent = val;
+        tr.appendChild(td);
+      }
+      frag.appendChild(tr);
+    });
+    els.artistList.appendChild(frag);
+  }
+
   function createDatasetControls() {
     if (!els.datasetControls) return;
     els.datasetControls.innerHTML = '';
@@ -178,23 +742,55 @@
       const label = document.createElement('label');
       label.htmlFor = `dataset-${index}`;
       label.textContent = ds.name;
+      label.title = datasetFormatInfo(ds);
+
+      // Snapshot capture date: anchors relative dates and orders snapshot history
+      const dateInput = document.createElement('input');
+      dateInput.type = 'date';
+      dateInput.className = 'dataset-date';
+      dateInput.value = ds.capturedAt || '';
+      dateInput.title = 'Snapshot capture date';
+      dateInput.setAttribute('aria-label', `Capture date for ${ds.name}`);
+      dateInput.addEventListener('change', () => {
+        ds.capturedAt = dateInput.value || null;
+        ds.capturedAtAuto = false;
+        reprocessDataset(ds);
+        refreshCrossDataset();
+        updateCombinedData();
+        renderAll();
+      });
 
       container.appendChild(checkbox);
       container.appendChild(colorDiv);
       container.appendChild(label);
+      container.appendChild(dateInput);
       els.datasetControls.appendChild(container);
     });
+    renderDatasetFilter();
   }
 
+  // How the file was read, e.g. "Semicolon-separated, decimal comma (1.234,5)"
+  function datasetFormatInfo(ds) {
+    const delimiter = Parser.DELIMITER_NAMES[ds.data.delimiter] || 'comma';
+    const numbers = ds.data.numberFormat === 'comma' ? 'decimal comma (1.234,5)' : 'decimal point (1,234.5)';
+    return `${delimiter[0].toUpperCase()}${delimiter.slice(1)}-separated, ${numbers}`;
+  }
+
+  // Decoded by Parser.decodeBytes rather than the browser default, so UTF-16 and
+  // Windows-1252 exports keep their accents
   function readFile(file) {
     return new Promise((resolve, reject) => {
       const reader = new FileReader();
       reader.onerror = () => reject(reader.error);
-      reader.onload = () => resolve(String(reader.result || ''));
-      reader.readAsText(file);
+      reader.onload = () => resolve(Parser.decodeBytes(reader.result).text);
+      reader.readAsArrayBuffer(file);
     });
   }
 
+  function fileDate(file) {
+    return file.lastModified ? isoDay(new Date(file.lastModified)) : null;
+  }
+
   async function handleDrop(e) {
     e.preventDefault();
     els.dropzone.classList.remove('dragover');
@@ -208,7 +804,7 @@
     }
     for (const file of files) {
       const text = await readFile(file);
-      await handleSingleCSV(text, file.name);
+      await handleSingleCSV(text, file.name, fileDate(file));
     }
   }
 
@@ -217,7 +813,7 @@
     if (!files || files.length === 0) return;
     for (const file of files) {
       const text = await readFile(file);
-      await handleSingleCSV(text, file.name);
+      await handleSingleCSV(text, file.name, fileDate(file));
     }
     e.target.value = '';
   }
@@ -228,7 +824,7 @@
     try {
       const resp = await fetch(path);
       if (!resp.ok) throw new Error('HTTP ' + resp.status);
-      const text = await resp.text();
+      const text = Parser.decodeBytes(await resp.arrayBuffer()).text;
       await handleSingleCSV(text, 'STATS NEW FORMAT');
     } catch (err) {
       console.warn('Sample fetch failed. Likely due to browser blocking file:// fetch. Use a local server or drag-drop the CSV.', err);
@@ -236,63 +832,435 @@
     }
   }
 
+  // ---------- Column mapping ----------
+  const FIELD_LABELS = {
+    track: 'Track title',
+    posted: 'Posted',
+    likes: 'Likes',
+    reposts: 'Reposts',
+    plays: 'Plays',
+    comments: 'Comments',
+    url: 'Track URL',
+    row_type: 'Row type (upload/repost)',
+  };
+  const MAPPING_PREVIEW_ROWS = 5;
+
+  // Column layout for a new file. Recognised headers (or none at all) are detected on every
+  // parse and give null; otherwise the user maps the columns once and the mapping is kept
+  // with the dataset. false: the user skipped the file.
+  async function columnMapping(text, filename) {
+    const rows = Parser.parseCSV(text);
+    const detected = Parser.detectColumns(rows);
+    if (detected.status !== 'unmapped') return null;
+    return (await askColumnMapping(rows, detected, filename)) || false;
+  }
+
+  function columnLabel(headers, i, hasHeader) {
+    const name = hasHeader && headers[i] ? `: ${headers[i]}` : '';
+    return `Column ${i + 1}${name}`;
+  }
+
+  // Resolves to { headerIndex, mapping } or null when cancelled
+  function askColumnMapping(rows, detected, filename) {
+    const dialog = els.mappingDialog;
+    if (!dialog) return Promise.resolve(null);
+    const start = detected.headerIndex;
+    const width = Math.max(...rows.slice(start, start + MAPPING_PREVIEW_ROWS + 1).map(r => r.length));
+    const headers = detected.headers;
+    const selects = {};
+
+    els.mappingIntro.textContent = detected.missing.length === Parser.CANONICAL_HEADERS.length
+      ? `The columns of "${filename}" were not recognised. Choose which column holds each field.`
+      : `Some columns of "${filename}" were not recognised (${detected.missing.map(f => FIELD_LABELS[f]).join(', ')}). Check the mapping below.`;
+    els.mappingHasHeader.checked = true;
+
+    const fillSelects = () => {
+      const hasHeader = els.mappingHasHeader.checked;
+      for (const [field, sel] of Object.entries(selects)) {
+        const value = sel.value;
+        sel.innerHTML = '';
+        sel.appendChild(new Option(field === 'track' ? 'Choose a column' : 'Not in this file', '-1'));
+        for (let i = 0; i < width; i++) sel.appendChild(new Option(columnLabel(headers, i, hasHeader), String(i)));
+        sel.value = value;
+      }
+    };
+    const renderPreview = () => {
+      const hasHeader = els.mappingHasHeader.checked;
+      const table = els.mappingPreview;
+      table.innerHTML = '';
+      const head = table.createTHead().insertRow();
+      for (let i = 0; i < width; i++) {
+        const th = document.createElement('th');
+        const field = Object.keys(selects).find(f => selects[f].value === String(i));
+        th.textContent = field ? FIELD_LABELS[field] : `Column ${i + 1}`;
+        if (!field) th.classList.add('unmapped');
+        head.appendChild(th);
+      }
+      const body = table.createTBody();
+      const first = hasHeader ? start : start - 1;
+      for (const r of rows.slice(first + 1, first + 1 + MAPPING_PREVIEW_ROWS)) {
+        const tr = body.insertRow();
+        for (let i = 0; i < width; i++) tr.insertCell().textContent = r[i] ?? '';
+      }
+      els.mappingApply.disabled = selects.track.value === '-1';
+    };
+
+    els.mappingFields.innerHTML = '';
+    for (const field of Parser.MAPPED_FIELDS) {
+      const fieldset = document.createElement('fieldset');
+      const legend = document.createElement('legend');
+      legend.textContent = FIELD_LABELS[field];
+      const sel = document.createElement('select');
+      sel.setAttribute('aria-label', FIELD_LABELS[field]);
+      sel.appendChild(new Option('', String(detected.mapping[field])));
+      sel.value = String(detected.mapping[field]);
+      sel.addEventListener('change', renderPreview);
+      selects[field] = sel;
+      fieldset.append(legend, sel);
+      els.mappingFields.appendChild(fieldset);
+    }
+    fillSelects();
+    renderPreview();
+    els.mappingHasHeader.onchange = () => {
+      fillSelects();
+      renderPreview();
+    };
+
+    return new Promise(resolve => {
+      dialog.addEventListener('close', () => {
+        if (dialog.returnValue !== 'apply') return resolve(null);
+        const mapping = {};
+        for (const [field, sel] of Object.entries(selects)) mapping[field] = Number(sel.value);
+        resolve({ headerIndex: els.mappingHasHeader.checked ? start : -1, mapping });
+      }, { once: true });
+      dialog.returnValue = '';
+      dialog.showModal();
+    });
+  }
+
+  // ---------- Page import ----------
+  // A saved SoundCloud page or copied page text becomes canonical CSV text (PageImport.toCSV)
+  // and is then loaded like an upload, so it re-processes and saves like any dataset
+  const IMPORT_SOURCES = {
+    list: 'the track list of the saved page',
+    data: 'the data embedded in the saved page (first tracks only: scroll to the end before saving for all of them)',
+    text: 'the page text',
+  };
+  const IMPORT_PREVIEW_ROWS = 50;
+  let pageImport = null; // { tracks, source, artist, fileDate } shown in the import dialog
+
+  function openImportDialog() {
+    pageImport = null;
+    els.importFile.value = '';
+    els.importText.value = '';
+    els.importName.value = '';
+    renderImportPreview();
+    els.importDialog.returnValue = '';
+    els.importDialog.showModal();
+  }
+
+  async function onImportFile() {
+    const file = els.importFile.files?.[0];
+    if (!file) return;
+    const text = await readFile(file);
+    const isHTML = /\.html?$/i.test(file.name) || /<(!doctype|html|body)\b/i.test(text.slice(0, 2000));
+    els.importText.value = '';
+    setPageImport(isHTML ? PageImport.fromHTML(text) : PageImport.fromText(text), fileDate(file), file.name.replace(/\.(html?|txt)$/i, ''));
+  }
+
+  function onImportText() {
+    els.importFile.value = '';
+    const text = els.importText.value;
+    setPageImport(text.trim() ? PageImport.fromText(text) : null, isoDay(new Date()), '');
+  }
+
+  // date: the day the page was captured; relative "posted" labels count back from it
+  function setPageImport(result, date, fallbackName) {
+    pageImport = result ? Object.assign(result, { fileDate: date }) : null;
+    if (result?.tracks.length && !els.importName.value.trim()) {
+      els.importName.value = result.artist || fallbackName || 'Imported page';
+    }
+    renderImportPreview();
+  }
+
+  function renderImportPreview() {
+    const tracks = pageImport?.tracks || [];
+    const table = els.importPreview;
+    table.innerHTML = '';
+    els.importApply.disabled = tracks.length === 0;
+    if (!pageImport) {
+      els.importStatus.textContent = 'Nothing is sent anywhere: the page is read in this browser.';
+      return;
+    }
+    if (tracks.length === 0) {
+      els.importStatus.textContent = 'No tracks found. Save the artist\'s Tracks page (not the Popular or Albums tab), or copy the whole page text.';
+      return;
+    }
+    const more = tracks.length > IMPORT_PREVIEW_ROWS ? ` Showing the first ${IMPORT_PREVIEW_ROWS}.` : '';
+    els.importStatus.textContent = `${tracks.length} track${tracks.length === 1 ? '' : 's'} found in ${IMPORT_SOURCES[pageImport.source]}.${more}`;
+    const head = table.createTHead().insertRow();
+    for (const h of ['Track', 'Posted', 'Likes', 'Reposts', 'Plays', 'Comments']) {
+      const th = document.createElement('th');
+      th.textContent = h;
+      head.appendChild(th);
+    }
+    const body = table.createTBody();
+    for (const t of tracks.slice(0, IMPORT_PREVIEW_ROWS)) {
+      const tr = body.insertRow();
+      for (const v of [t.title, t.posted, t.likes, t.reposts, t.plays, t.comments]) tr.insertCell().textContent = v;
+    }
+  }
+
+  async function addImportedDataset() {
+    if (!pageImport?.tracks.length) return;
+    const name = els.importName.value.trim() || 'Imported page';
+    const { tracks, fileDate: date } = pageImport;
+    pageImport = null;
+    await handleSingleCSV(PageImport.toCSV(tracks), `${name}.csv`, date);
+  }
+
   // ---------- Rendering ----------
   function renderAll() {
     renderKPIs();
     renderTable();
     renderInsights();
     renderCharts();
+    renderSharedTracks();
+    renderCompare();
+    renderReposts();
+    renderQuality();
+    scheduleWorkspaceSave();
   }
 
-  function renderKPIs() {
-    if (datasets.length === 0) {
-      els.kpis.totalPlays.textContent = '0';
-      els.kpis.avgEng.textContent = '0.00%';
-      els.kpis.medianPLR.textContent = '0.00';
-      els.kpis.trackCount.textContent = '0';
-      return;
+  // Comparison view: one column per visible dataset, rank badges per metric
+  function renderCompare() {
+    const table = els.compareTable;
+    if (!table) return;
+    const summaries = Compare.compareDatasets(datasets.filter(ds => ds.visible));
+    if (els.compareEmpty) els.compareEmpty.hidden = summaries.length > 1;
+    table.innerHTML = '';
+
+    const thead = document.createElement('thead');
+    const headRow = document.createElement('tr');
+    const corner = document.createElement('th');
+    corner.textContent = 'Metric';
+    headRow.appendChild(corner);
+    for (const sm of summaries) {
+      const th = document.createElement('th');
+      const swatch = document.createElement('span');
+      swatch.className = 'dataset-color inline';
+      swatch.style.backgroundColor = sm.color;
+      th.appendChild(swatch);
+      th.appendChild(document.createTextNode(sm.name));
+      headRow.appendChild(th);
+    }
+    thead.appendChild(headRow);
+    table.appendChild(thead);
+
+    const tbody = document.createElement('tbody');
+    const addRow = (label, cellsFor) => {
+      const tr = document.createElement('tr');
+      const th = document.createElement('th');
+      th.scope = 'row';
+      th.textContent = label;
+      tr.appendChild(th);
+      for (const sm of summaries) {
+        const td = document.createElement('td');
+        cellsFor(sm, td);
+        tr.appendChild(td);
+      }
+      tbody.appendChild(tr);
+    };
+
+    for (const m of Compare.METRICS) {
+      addRow(m.label, (sm, td) => {
+        const v = sm[m.key];
+        td.textContent = v === null || v === undefined ? '' : fmt[m.format](v);
+        const r = sm.ranks[m.key];
+        if (r && summaries.length > 1) {
+          const badge = document.createElement('span');
+          badge.className = 'rank-tag' + (r === 1 ? ' rank-first' : '');
+          badge.textContent = '#' + r;
+          td.appendChild(badge);
+        }
+      });
+    }
+    addRow('Top track', (sm, td) => {
+      if (!sm.topTrack) return;
+      td.textContent = sm.topTrack.title + ' (' + fmt.int(sm.topTrack.plays) + ')';
+    });
+    addRow('Average rank', (sm, td) => {
+      td.textContent = sm.avgRank != null ? fmt.num2(sm.avgRank) : '';
+    });
+    table.appendChild(tbody);
+
+    if (document.querySelector('#tab-compare')?.classList.contains('active')) {
+      renderCompareCharts(summaries);
+    }
+  }
+
+  function renderCompareCharts(summaries) {
+    const groups = summaries.map(sm => ({ name: sm.name, color: sm.color, rows: sm.rows }));
+    if (els.boxLikePct) Charts.buildBox(els.boxLikePct, groups, 'like_pct', { title: 'Like % per artist', suffix: '%' });
+    if (els.boxPlaysPerDay) Charts.buildBox(els.boxPlaysPerDay, groups, 'plays_per_day', { title: 'Plays/day per artist', log: true });
+  }
+
+  // Shared tracks view: how the same release did on each artist's page
+  function renderSharedTracks() {
+    if (!els.sharedBody) return;
+    els.sharedBody.innerHTML = '';
+    if (els.sharedEmpty) els.sharedEmpty.hidden = sharedTracks.length > 0;
+    const frag = document.createDocumentFragment();
+    for (const g of sharedTracks) {
+      const members = g.members.slice().sort((a, b) => b.row.plays - a.row.plays);
+      members.forEach((m, i) => {
+        const tr = document.createElement('tr');
+        if (i === 0) {
+          const titleCell = document.createElement('td');
+          titleCell.rowSpan = members.length;
+          titleCell.className = 'shared-title';
+          titleCell.textContent = g.title;
+          tr.appendChild(titleCell);
+        }
+        const ds = datasets.find(d => d.name === m.datasetName);
+        const cells = [
+          m.datasetName,
+          fmt.int(m.row.plays),
+          fmt.int(m.row.likes),
+          fmt.int(m.row.reposts),
+          fmt.int(m.row.comments),
+          fmt.pct2(m.row.like_pct),
+          fmt.pct2(m.row.engagement_rate_pct),
+          m.row.category,
+        ];
+        cells.forEach((val, idx) => {
+          const td = document.createElement('td');
+          if (idx === 0 && ds) {
+            const swatch = document.createElement('span');
+            swatch.className = 'dataset-color inline';
+            swatch.style.backgroundColor = ds.color;
+            td.appendChild(swatch);
+            td.appendChild(document.createTextNode(val));
+          } else if (idx === cells.length - 1) {
+            td.innerHTML = fmt.categoryChip(val);
+          } else {
+            td.textContent = val;
+          }
+          tr.appendChild(td);
+        });
+        frag.appendChild(tr);
+      });
     }
-    const visibleDatasets = datasets.filter(ds => ds.visible);
-    if (visibleDatasets.length === 0) {
+    els.sharedBody.appendChild(frag);
+  }
+
+  function dedupeEnabled() {
+    return !!els.optDedupe?.checked;
+  }
+
+  // Table rows (visible datasets, filters, chart selection) for KPIs and export;
+  // shared tracks counted once in de-duplicated mode
+  function activeRows() {
+    return dedupeEnabled() ? Duplicates.dedupeRows(currentRows) : currentRows;
+  }
+
+  function renderKPIs() {
+    const rows = activeRows();
+    if (rows.length === 0) {
       els.kpis.totalPlays.textContent = '0';
       els.kpis.avgEng.textContent = '0.00%';
       els.kpis.medianPLR.textContent = '0.00';
       els.kpis.trackCount.textContent = '0';
       return;
     }
-    const totalPlays = visibleDatasets.reduce((sum, ds) => sum + ds.data.totals.plays, 0);
-    const totalTracks = visibleDatasets.reduce((sum, ds) => sum + ds.data.rows.length, 0);
-    const weightedAvgEng = visibleDatasets.reduce((sum, ds) => sum + ds.data.avgEngagement * ds.data.rows.length, 0) / totalTracks;
-    const allPLRs = visibleDatasets.flatMap(ds => ds.data.rows.map(r => r.play_like_ratio).filter(Number.isFinite));
-    const medianPLR = median(allPLRs);
-    els.kpis.totalPlays.textContent = fmt.int(totalPlays);
-    els.kpis.avgEng.textContent = fmt.pct2(weightedAvgEng);
+    const { tracks, totals, avgEngagement, medianPLR } = aggregates(rows);
+    els.kpis.totalPlays.textContent = fmt.int(totals.plays);
+    els.kpis.avgEng.textContent = fmt.pct2(avgEngagement);
     els.kpis.medianPLR.textContent = medianPLR != null ? fmt.num2(medianPLR) : '';
-    els.kpis.trackCount.textContent = String(totalTracks);
+    els.kpis.trackCount.textContent = String(tracks);
+    renderKPIsByType(rows);
+  }
+
+  // Totals, mean engagement and median play/like ratio, as shown in the KPIs
+  function aggregates(rows) {
+    const totals = rows.reduce((acc, d) => {
+      acc.plays += d.plays;
+      acc.likes += d.likes;
+      acc.reposts += d.reposts;
+      acc.comments += d.comments;
+      return acc;
+    }, { plays: 0, likes: 0, reposts: 0, comments: 0 });
+    const engValues = rows.map(r => r.engagement_rate_pct).filter(Number.isFinite);
+    return {
+      tracks: rows.length,
+      totals,
+      avgEngagement: engValues.length ? engValues.reduce((a, b) => a + b, 0) / engValues.length : 0,
+      medianPLR: Parser.median(rows.map(r => r.play_like_ratio)),
+    };
+  }
+
+  // Per-type KPI breakdown, shown when categories are computed within each type
+  function renderKPIsByType(rows) {
+    const el = els.kpiByType;
+    if (!el) return;
+    const show = !!els.optGroupByType?.checked && rows.length > 0;
+    el.hidden = !show;
+    if (!show) return;
+    const body = el.querySelector('tbody');
+    body.innerHTML = '';
+    for (const type of Parser.CONTENT_TYPES) {
+      const group = rows.filter(r => r.content_type === type);
+      if (group.length === 0) continue;
+      const eng = group.map(r => r.engagement_rate_pct).filter(Number.isFinite);
+      const plr = Parser.median(group.map(r => r.play_like_ratio));
+      const tr = document.createElement('tr');
+      const cells = [
+        { html: fmt.typeChip(type) },
+        { text: String(group.length) },
+        { text: fmt.int(group.reduce((sum, r) => sum + r.plays, 0)) },
+        { text: fmt.pct2(eng.length ? eng.reduce((a, b) => a + b, 0) / eng.length : 0) },
+        { text: plr != null ? fmt.num2(plr) : '' },
+      ];
+      for (const c of cells) {
+        const td = document.createElement('td');
+        if (c.html !== undefined) td.innerHTML = c.html;
+        else td.textContent = c.text;
+        tr.appendChild(td);
+      }
+      body.appendChild(tr);
+    }
   }
 
   function renderTable() {
     const rows = currentRows;
     const tbody = els.tbody;
     tbody.innerHTML = '';
+    const extras = renderExtraColumns();
 
     // infer scales for heat backgrounds
     const maxPLR = Math.max(1, ...rows.map(r => Number.isFinite(r.play_like_ratio) ? r.play_like_ratio : 0));
     const maxEng = Math.max(1, ...rows.map(r => r.engagement_rate_pct || 0));
     const maxPPD = Math.max(1, ...rows.map(r => r.plays_per_day || 0));
+    const maxAgePerf = Math.max(1, ...rows.map(r => Math.abs(r.age_performance_pct || 0)));
 
     const frag = document.createDocumentFragment();
     for (const d of rows) {
       const tr = document.createElement('tr');
+      tr.dataset.key = rowKey(d.datasetName, d);
+      if (tr.dataset.key === highlightKey) tr.classList.add('row-highlight');
       // Add subtle background color for dataset
       if (d.datasetColor) {
         tr.style.backgroundColor = d.datasetColor + '20'; // 20 for alpha
       }
+      // Non-canonical copies of a shared track don't count in de-duplicated mode
+      if (dedupeEnabled() && d.duplicate_group && !d.duplicate_canonical) {
+        tr.classList.add('dup-secondary');
+      }
 
       const cells = [
-        { key: 'title', val: d.title },
-        { key: 'posted_iso', val: fmt.date(d.posted_iso) },
-        { key: 'days_since_upload', val: d.days_since_upload ?? '' },
+        { key: 'title', val: fmt.titleWithBadges(d), html: true },
+        { key: 'posted_iso', val: fmt.postedWithPrecision(d.posted_iso, d.date_precision), html: true },
+        { key: 'days_since_upload', val: fmt.range(d.days_min, d.days_max, String), tip: d.days_since_upload ?? '' },
         { key: 'plays', val: fmt.int(d.plays) },
         { key: 'likes', val: fmt.int(d.likes) },
         { key: 'reposts', val: fmt.int(d.reposts) },
@@ -300,13 +1268,20 @@
         { key: 'play_like_ratio', val: Number.isFinite(d.play_like_ratio) ? fmt.num2(d.play_like_ratio) : '∞' },
         { key: 'engagement_rate_pct', val: fmt.pct2(d.engagement_rate_pct) },
         { key: 'like_pct', val: fmt.pct2(d.like_pct) },
-        { key: 'plays_per_day', val: fmt.num2(d.plays_per_day) },
+        { key: 'plays_per_day', val: fmt.range(d.plays_per_day_min, d.plays_per_day_max, fmt.num2), tip: fmt.num2(d.plays_per_day) },
+        { key: 'plays_delta', val: fmt.delta(d.plays_delta) },
+        { key: 'growth_rate_pct', val: fmt.pct2(d.growth_rate_pct) },
+        { key: 'age_performance_pct', val: fmt.signedPct(d.age_performance_pct), tip: expectedTip(d) },
+        { key: 'content_type', val: fmt.typeChip(d.content_type), html: true },
         { key: 'category', val: fmt.categoryChip(d.category), html: true },
+        ...extras.map(x => ({ key: x.key, val: d.extra?.[x.key] ?? '' })),
       ];
 
       for (const c of cells) {
         const td = document.createElement('td');
         td.setAttribute('data-key', c.key);
+        // Value used for sorting/categorising when the cell shows a range
+        if (c.tip !== undefined && c.tip !== '') td.title = c.key === 'age_performance_pct' ? c.tip : 'Estimate used: ' + c.tip;
         if (c.html) {
           td.innerHTML = c.val;
         } else {
@@ -323,6 +1298,11 @@
         } else if (c.key === 'plays_per_day' && Number.isFinite(d.plays_per_day)) {
           const pct = Math.max(0.05, Math.min(1, d.plays_per_day / maxPPD));
           td.style.background = `linear-gradient(90deg, rgba(243,201,105,0.18) ${pct * 100}%, transparent ${pct * 100}%)`;
+        } else if (c.key === 'age_performance_pct' && Number.isFinite(d.age_performance_pct)) {
+          // diverging: green above expectation, red below
+          const pct = Math.max(0.05, Math.min(1, Math.abs(d.age_performance_pct) / maxAgePerf));
+          const rgb = d.age_performance_pct >= 0 ? '123,216,143' : '255,107,107';
+          td.style.background = `linear-gradient(90deg, rgba(${rgb},0.18) ${pct * 100}%, transparent ${pct * 100}%)`;
         }
 
         tr.appendChild(td);
@@ -335,33 +1315,688 @@
     wireSortingHeaders();
   }
 
-  function renderInsights() {
-    const el = els.insightsList;
-    el.innerHTML = '';
-    const visibleRows = currentRows;
-    if (visibleRows.length === 0) return;
+  // Extra CSV columns (see Parser.detectColumns) across the loaded datasets, first label wins
+  function availableExtraColumns() {
+    const byKey = new Map();
+    for (const ds of datasets) {
+      for (const x of ds.data.extraColumns || []) {
+        if (!byKey.has(x.key)) byKey.set(x.key, x);
+      }
+    }
+    return [...byKey.values()];
+  }
 
-    const finitePLRRows = visibleRows.filter(r => Number.isFinite(r.play_like_ratio));
-    const topPLR = finitePLRRows.slice().sort((a, b) => a.play_like_ratio - b.play_like_ratio).slice(0, 3);
-    const bottomPLR = finitePLRRows.slice().sort((a, b) => b.play_like_ratio - a.play_like_ratio).slice(0, 3);
-    const topEng = visibleRows.slice().sort((a, b) => b.engagement_rate_pct - a.engagement_rate_pct).slice(0, 3);
+  // Toggles for the extra columns and their header cells; returns the columns shown
+  function renderExtraColumns() {
+    const available = availableExtraColumns();
+    if (els.extraColumns) els.extraColumns.hidden = available.length === 0;
+    renderFilterChecks(els.extraColumnChecks, available, shownExtraColumns);
+    const shown = available.filter(x => shownExtraColumns.includes(x.key));
+    const headRow = els.table.querySelector('thead tr');
+    headRow.querySelectorAll('th.extra-column').forEach(th => th.remove());
+    for (const x of shown) {
+      const th = document.createElement('th');
+      th.className = 'sortable extra-column';
+      th.setAttribute('data-key', x.key);
+      th.textContent = x.label;
+      headRow.appendChild(th);
+    }
+    return shown;
+  }
 
-    const items = [];
-    if (topPLR.length) items.push(`Top Play/Like: ${topPLR.map(r => r.title).join(' • ')}`);
-    if (bottomPLR.length) items.push(`Bottom Play/Like: ${bottomPLR.map(r => r.title).join(' • ')}`);
-    if (topEng.length) items.push(`Top Engagement %: ${topEng.map(r => r.title).join(' • ')}`);
+  function onExtraColumnsChange() {
+    shownExtraColumns = checkedValues(els.extraColumnChecks);
+    if (!shownExtraColumns.includes(sortState.key) && sortState.key.startsWith('x_')) {
+      sortState = { key: 'plays', dir: 'desc' };
+      applySort();
+    }
+    renderTable();
+  }
+
+  function expectedTip(d) {
+    if (!Number.isFinite(d.expected_plays)) return '';
+    return `Expected at ${d.days_since_upload} days: ${fmt.int(Math.round(d.expected_plays))} plays, ${fmt.int(Math.round(d.expected_likes))} likes`;
+  }
+
+  // ---------- Reposts ----------
+  const REPOST_TOP_ARTISTS = 3;
+
+  function datasetCell(ds, text) {
+    const td = document.createElement('td');
+    const swatch = document.createElement('span');
+    swatch.className = 'dataset-color inline';
+    swatch.style.backgroundColor = ds.color;
+    td.append(swatch, document.createTextNode(text ?? ds.name));
+    return td;
+  }
+
+  function textCell(text) {
+    const td = document.createElement('td');
+    td.textContent = text;
+    return td;
+  }
+
+  function renderReposts() {
+    if (!els.repostSummaryBody || !els.repostBody) return;
+    const summaries = datasets.filter(ds => ds.visible).map(ds => ({ ds, s: Compare.summarizeReposts(ds) })).filter(x => x.s.reposts > 0);
+    els.repostSummaryBody.innerHTML = '';
+    els.repostBody.innerHTML = '';
+    if (els.repostsEmpty) els.repostsEmpty.hidden = summaries.length > 0;
+    const pair = (a, b, f) => `${a === null ? '—' : f(a)} / ${b === null ? '—' : f(b)}`;
+
+    const summaryFrag = document.createDocumentFragment();
+    const trackFrag = document.createDocumentFragment();
+    for (const { ds, s } of summaries) {
+      const tr = document.createElement('tr');
+      tr.appendChild(datasetCell(ds));
+      const artists = s.artists.slice(0, REPOST_TOP_ARTISTS).map(a => `${a.name} (${a.count})`).join(', ');
+      [
+        fmt.int(s.reposts),
+        fmt.pct2(s.share),
+        pair(s.repostMedians.plays, s.uploadMedians.plays, fmt.int),
+        pair(s.repostMedians.likePct, s.uploadMedians.likePct, fmt.pct2),
+        pair(s.repostMedians.engagement, s.uploadMedians.engagement, fmt.pct2),
+        artists,
+      ].forEach(text => tr.appendChild(textCell(text)));
+      summaryFrag.appendChild(tr);
+
+      for (const row of s.rows.slice().sort((a, b) => b.plays - a.plays)) {
+        const rt = document.createElement('tr');
+        const title = textCell(row.title);
+        title.className = 'repost-track';
+        title.title = 'Show track details';
+        title.addEventListener('click', () => showTrackDetails({ ...row, datasetName: ds.name, datasetColor: ds.color }));
+        rt.appendChild(title);
+        rt.appendChild(datasetCell(ds));
+        [
+          row.artist || '',
+          row.posted_iso || row.posted_raw || '',
+          fmt.int(row.plays),
+          fmt.int(row.likes),
+          fmt.pct2(row.like_pct),
+          fmt.pct2(row.engagement_rate_pct),
+        ].forEach(text => rt.appendChild(textCell(text)));
+        const cat = document.createElement('td');
+        cat.innerHTML = fmt.categoryChip(row.category);
+        rt.appendChild(cat);
+        trackFrag.appendChild(rt);
+      }
+    }
+    els.repostSummaryBody.appendChild(summaryFrag);
+    els.repostBody.appendChild(trackFrag);
+  }
+
+  // ---------- Data quality ----------
+  // Every problem found while reading the visible datasets, with an inline fix where a cell
+  // can be corrected. Corrections are kept per dataset (ds.edits, by source line) and applied
+  // by the parser on every re-process, so metrics and categories follow.
+  const SKIP_REASONS = {
+    duplicate_header: 'Repeated header row removed',
+    empty: 'Empty row skipped',
+    no_title: 'Skipped: no track title',
+    before_header: 'Skipped: above the header row',
+  };
+  const QUALITY_KINDS = {
+    skipped: 'Skipped rows',
+    coerced: 'Coerced values',
+    date: 'Unparsed dates',
+    suspicious: 'Suspicious values',
+    link: 'Invalid links',
+    edited: 'Corrections',
+  };
+  const COUNT_KEYS = ['likes', 'reposts', 'plays', 'comments'];
+
+  // { ds, row, line, title, kind, issue, field (editable cell or null), value }
+  function qualityIssues(ds) {
+    const issues = [];
+    const empty = [];
+    for (const s of ds.data.skipped || []) {
+      if (s.reason === 'empty') {
+        empty.push(s.source_line);
+        continue;
+      }
+      issues.push({
+        ds, line: s.source_line, title: s.cells[0] || '', kind: 'skipped', issue: SKIP_REASONS[s.reason] || s.reason,
+        field: s.reason === 'no_title' ? 'track' : null, value: '',
+      });
+    }
+    // Blank spacer rows are common in hand-made files: one entry for all of them
+    if (empty.length) {
+      const shown = empty.slice(0, 12).join(', ') + (empty.length > 12 ? '…' : '');
+      issues.push({ ds, line: empty[0], title: `Lines ${shown}`, kind: 'skipped', issue: `${empty.length} empty row${empty.length === 1 ? '' : 's'} skipped`, field: null });
+    }
+    for (const row of ds.data.rows) {
+      const base = { ds, row, line: row.source_line, title: row.title };
+      const q = row.quality || {};
+      for (const f of q.invalid_fields || []) {
+        if (COUNT_KEYS.includes(f)) {
+          const raw = row[`${f}_raw`];
+          issues.push({ ...base, kind: 'coerced', issue: `${QUALITY_LABELS[f]}: read as ${fmt.int(row[f])}`, field: f, value: raw });
+        } else if (f === 'posted') {
+          issues.push({ ...base, kind: 'date', issue: QUALITY_LABELS.posted, field: 'posted', value: row.posted_raw });
+        } else if (f === 'url') {
+          issues.push({ ...base, kind: 'link', issue: QUALITY_LABELS.url, field: null });
+        }
+      }
+      for (const w of q.warnings || []) {
+        const field = w === 'likes_over_plays' ? 'likes' : w.replace('negative_', '');
+        const issue = w === 'likes_over_plays' ? `${QUALITY_LABELS[w]} (${fmt.int(row.likes)} > ${fmt.int(row.plays)})` : QUALITY_LABELS[w];
+        issues.push({ ...base, kind: 'suspicious', issue, field, value: row[`${field}_raw`] });
+      }
+      for (const f of row.edited || []) {
+        issues.push({ ...base, kind: 'edited', issue: `${FIELD_LABELS[f]} corrected by hand`, field: f, value: ds.edits[row.source_line][f] });
+      }
+    }
+    return issues.sort((a, b) => a.line - b.line);
+  }
+
+  function renderQuality() {
+    const body = els.qualityBody;
+    if (!body) return;
+    const issues = datasets.filter(ds => ds.visible).flatMap(qualityIssues);
+    body.innerHTML = '';
+    if (els.qualityEmpty) els.qualityEmpty.hidden = issues.length > 0;
+    if (els.qualitySummary) {
+      const counts = {};
+      for (const i of issues) counts[i.kind] = (counts[i.kind] || 0) + 1;
+      els.qualitySummary.textContent = Object.entries(QUALITY_KINDS)
+        .filter(([kind]) => counts[kind])
+        .map(([kind, label]) => `${label}: ${counts[kind]}`)
+        .join(' · ');
+    }
+    const frag = document.createDocumentFragment();
+    for (const issue of issues) {
+      const tr = document.createElement('tr');
+      tr.className = `quality-${issue.kind}`;
+      tr.appendChild(datasetCell(issue.ds));
+      for (const text of [issue.line, issue.title, issue.issue]) {
+        const td = document.createElement('td');
+        td.textContent = text;
+        tr.appendChild(td);
+      }
+      if (issue.row) {
+        tr.children[2].classList.add('quality-track');
+        tr.children[2].title = 'Show track details';
+        tr.children[2].addEventListener('click', () => showTrackDetails(issue.row));
+      }
+      tr.appendChild(qualityFixCell(issue));
+      frag.appendChild(tr);
+    }
+    body.appendChild(frag);
+  }
+
+  // Inline correction: an input holding the cell's text (applied on change), plus Undo for
+  // corrections already made
+  function qualityFixCell(issue) {
+    const td = document.createElement('td');
+    if (!issue.field) return td;
+    const wrap = document.createElement('div');
+    wrap.className = 'quality-fix';
+    td.appendChild(wrap);
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.value = issue.value ?? '';
+    input.placeholder = FIELD_LABELS[issue.field];
+    input.setAttribute('aria-label', `${FIELD_LABELS[issue.field]} on line ${issue.line} of ${issue.ds.name}`);
+    input.addEventListener('change', () => applyEdit(issue.ds, issue.line, issue.field, input.value));
+    wrap.appendChild(input);
+    if (issue.kind === 'edited') {
+      const undo = document.createElement('button');
+      undo.type = 'button';
+      undo.className = 'btn small outline';
+      undo.textContent = 'Undo';
+      undo.title = 'Go back to the value in the file';
+      undo.addEventListener('click', () => revertEdit(issue.ds, issue.line, issue.field));
+      wrap.appendChild(undo);
+    }
+    return td;
+  }
+
+  function applyEdit(ds, line, field, value) {
+    ds.edits[line] = Object.assign({}, ds.edits[line], { [field]: value.trim() });
+    refreshEditedDataset(ds);
+  }
+
+  function revertEdit(ds, line, field) {
+    const fix = Object.assign({}, ds.edits[line]);
+    delete fix[field];
+    if (Object.keys(fix).length) ds.edits[line] = fix;
+    else delete ds.edits[line];
+    refreshEditedDataset(ds);
+  }
+
+  // Re-run the dataset's metrics (categories and age model depend on every row)
+  function refreshEditedDataset(ds) {
+    reprocessDataset(ds);
+    refreshCrossDataset();
+    updateCombinedData();
+    renderAll();
+  }
+
+  // ---------- Insights ----------
+  const INSIGHT_RULES_KEY = 'scAnalyser.insightRules';
+  const INSIGHT_TRACKS_SHOWN = 8;
+  let disabledInsightRules = [];
 
-    for (const txt of items) {
+  function loadInsightRules() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(INSIGHT_RULES_KEY) || 'null');
+      disabledInsightRules = Array.isArray(saved?.disabled) ? saved.disabled : [];
+    } catch (err) {
+      console.warn('Could not read insight rules:', err);
+    }
+  }
+
+  function saveInsightRules() {
+    try {
+      localStorage.setItem(INSIGHT_RULES_KEY, JSON.stringify({ disabled: disabledInsightRules }));
+    } catch (err) {
+      console.warn('Could not save insight rules:', err);
+    }
+  }
+
+  function renderInsightRuleToggles() {
+    const container = els.insightRules;
+    if (!container) return;
+    container.innerHTML = '';
+    for (const rule of Insights.RULES) {
+      const label = document.createElement('label');
+      label.title = rule.description;
+      const box = document.createElement('input');
+      box.type = 'checkbox';
+      box.value = rule.id;
+      box.checked = !disabledInsightRules.includes(rule.id);
+      box.addEventListener('change', () => {
+        disabledInsightRules = Insights.RULES.map(r => r.id).filter(id => !checkedValues(container).includes(id));
+        saveInsightRules();
+        renderInsights();
+      });
+      label.append(box, document.createTextNode(rule.label));
+      container.appendChild(label);
+    }
+  }
+
+  // Ranked findings for a set of rows (the table's rows, or one dataset in a report)
+  function insightFindings(rows) {
+    const axes = scatterAxes();
+    return Insights.run(rows, {
+      disabled: disabledInsightRules,
+      axes: {
+        x: axes.x,
+        y: axes.y,
+        xLabel: Charts.METRICS[axes.x]?.label,
+        yLabel: Charts.METRICS[axes.y]?.label,
+      },
+    });
+  }
+
+  function renderInsights() {
+    const el = els.insightsList;
+    el.innerHTML = '';
+    for (const f of insightFindings(currentRows)) {
       const li = document.createElement('li');
-      li.textContent = txt;
+      const head = document.createElement('div');
+      head.className = 'insight-head';
+      const tag = document.createElement('span');
+      tag.className = 'insight-rule';
+      tag.textContent = f.label;
+      const text = document.createElement('strong');
+      text.textContent = f.text;
+      head.append(tag, text);
+      const detail = document.createElement('p');
+      detail.className = 'insight-detail';
+      detail.textContent = f.detail;
+      li.append(head, detail);
+      if (f.rows.length) li.appendChild(insightTracks(f));
       el.appendChild(li);
     }
   }
 
+  // Track chips open the details panel; "Select" narrows the table and KPIs to the tracks
+  function insightTracks(f) {
+    const wrap = document.createElement('div');
+    wrap.className = 'insight-tracks';
+    for (const row of f.rows.slice(0, INSIGHT_TRACKS_SHOWN)) {
+      const chip = document.createElement('button');
+      chip.type = 'button';
+      chip.className = 'chip insight-track';
+      chip.textContent = row.title;
+      chip.title = `${row.datasetName}: open track details`;
+      chip.addEventListener('click', () => showTrackDetails(row));
+      wrap.appendChild(chip);
+    }
+    if (f.rows.length > INSIGHT_TRACKS_SHOWN) {
+      const more = document.createElement('span');
+      more.className = 'hint';
+      more.textContent = `+${f.rows.length - INSIGHT_TRACKS_SHOWN} more`;
+      wrap.appendChild(more);
+    }
+    if (f.rows.length > 1) {
+      const select = document.createElement('button');
+      select.type = 'button';
+      select.className = 'btn small';
+      select.textContent = `Select ${f.rows.length} tracks`;
+      select.addEventListener('click', () => setSelection(f.rows));
+      wrap.appendChild(select);
+    }
+    return wrap;
+  }
+
+  // Scatter axes, marker size and log toggles from the chart controls
+  function scatterAxes() {
+    return {
+      x: els.scatterX?.value || 'plays',
+      y: els.scatterY?.value || 'like_pct',
+      size: els.scatterSize ? els.scatterSize.value : 'plays',
+      xLog: els.scatterXLog ? els.scatterXLog.checked : true,
+      yLog: !!els.scatterYLog?.checked
+    };
+  }
+
+  // Log-log trend of the scatter's Y on X, one fit per dataset present in rows
+  function trendFits(rows, axes) {
+    const present = new Set(rows.map(r => r.datasetName));
+    return datasets
+      .filter(ds => present.has(ds.name))
+      .map(ds => ({
+        name: ds.name,
+        color: ds.color,
+        fit: Parser.logLogTrend(rows.filter(r => r.datasetName === ds.name), axes.x, axes.y)
+      }))
+      .filter(t => t.fit);
+  }
+
+  // Fill the scatter metric selects from Charts.METRICS, keeping any preset options
+  function fillScatterSelects() {
+    for (const sel of [els.scatterX, els.scatterY, els.scatterSize]) {
+      if (!sel) continue;
+      for (const [key, info] of Object.entries(Charts.METRICS)) {
+        sel.appendChild(new Option(info.label, key));
+      }
+      sel.value = sel.dataset.default || '';
+    }
+  }
+
+  // ---------- Filters ----------
+  const VIEWS_KEY = 'scAnalyser.views';
+  const FILTER_CATEGORIES = ['Excellent', 'Good', 'Average', 'Poor'];
+
+  // Re-run search, type filter, builder filters and selection, then redraw what depends on them
+  function refreshFilteredViews() {
+    applySearch();
+    renderKPIs();
+    renderTable();
+    renderInsights();
+    renderCharts();
+  }
+
+  function renderFilterChecks(container, items, checked) {
+    if (!container) return;
+    container.innerHTML = '';
+    for (const item of items) {
+      const label = document.createElement('label');
+      const box = document.createElement('input');
+      box.type = 'checkbox';
+      box.value = item.key;
+      box.checked = checked.includes(item.key);
+      label.append(box, document.createTextNode(item.label));
+      container.appendChild(label);
+    }
+  }
+
+  function checkedValues(container) {
+    return container ? [...container.querySelectorAll('input:checked')].map(box => box.value) : [];
+  }
+
+  // One "metric between min and max" row of the builder
+  function addRangeRow(range = {}) {
+    const row = document.createElement('div');
+    row.className = 'filter-range';
+    const select = document.createElement('select');
+    select.setAttribute('aria-label', 'Metric');
+    for (const f of Filters.NUMERIC_FIELDS) select.appendChild(new Option(f.label, f.key));
+    select.value = range.key || 'plays';
+    const min = document.createElement('input');
+    min.type = 'number';
+    min.placeholder = 'min';
+    min.setAttribute('aria-label', 'Minimum');
+    if (Number.isFinite(range.min)) min.value = range.min;
+    const max = document.createElement('input');
+    max.type = 'number';
+    max.placeholder = 'max';
+    max.setAttribute('aria-label', 'Maximum');
+    if (Number.isFinite(range.max)) max.value = range.max;
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'btn small';
+    remove.textContent = '×';
+    remove.title = 'Remove range';
+    remove.onclick = () => {
+      row.remove();
+      onFiltersChange();
+    };
+    row.append(select, min, max, remove);
+    els.filterRanges.appendChild(row);
+  }
+
+  // Dataset choices follow the loaded datasets; checked names that are still loaded stay checked
+  function renderDatasetFilter() {
+    const loaded = datasets.map(ds => ds.name);
+    filterSpec.datasets = filterSpec.datasets.filter(name => loaded.includes(name));
+    renderFilterChecks(els.filterDatasets, loaded.map(name => ({ key: name, label: name })), filterSpec.datasets);
+  }
+
+  function readFilterSpec() {
+    const spec = Filters.emptySpec();
+    els.filterRanges?.querySelectorAll('.filter-range').forEach(row => {
+      const [select, min, max] = row.querySelectorAll('select, input');
+      spec.ranges.push({
+        key: select.value,
+        min: min.value === '' ? null : Number(min.value),
+        max: max.value === '' ? null : Number(max.value),
+      });
+    });
+    spec.categories = checkedValues(els.filterCategories);
+    spec.datasets = checkedValues(els.filterDatasets);
+    spec.dateFrom = els.filterDateFrom?.value || '';
+    spec.dateTo = els.filterDateTo?.value || '';
+    spec.flags = checkedValues(els.filterFlags);
+    return spec;
+  }
+
+  function writeFilterSpec(spec) {
+    filterSpec = Object.assign(Filters.emptySpec(), spec || {});
+    if (els.filterRanges) {
+      els.filterRanges.innerHTML = '';
+      filterSpec.ranges.forEach(addRangeRow);
+    }
+    renderFilterChecks(els.filterCategories, FILTER_CATEGORIES.map(c => ({ key: c, label: c })), filterSpec.categories);
+    renderFilterChecks(els.filterFlags, Filters.QUALITY_FLAGS, filterSpec.flags);
+    renderDatasetFilter();
+    if (els.filterDateFrom) els.filterDateFrom.value = filterSpec.dateFrom;
+    if (els.filterDateTo) els.filterDateTo.value = filterSpec.dateTo;
+    renderFilterCount();
+  }
+
+  function renderFilterCount() {
+    if (!els.filterCount) return;
+    const active = (filterSpec.ranges.filter(r => Number.isFinite(r.min) || Number.isFinite(r.max)).length) +
+      (filterSpec.categories.length ? 1 : 0) + (filterSpec.datasets.length ? 1 : 0) +
+      (filterSpec.dateFrom || filterSpec.dateTo ? 1 : 0) + (filterSpec.flags.length ? 1 : 0);
+    els.filterCount.textContent = active ? `(${active} active)` : '';
+  }
+
+  function onFiltersChange() {
+    filterSpec = readFilterSpec();
+    renderFilterCount();
+    refreshFilteredViews();
+  }
+
+  // Named views: search query, type filter and builder filters, kept in localStorage
+  function loadViews() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(VIEWS_KEY) || '[]');
+      return Array.isArray(saved) ? saved : [];
+    } catch (err) {
+      console.warn('Could not read saved views:', err);
+      return [];
+    }
+  }
+
+  function storeViews(views) {
+    try {
+      localStorage.setItem(VIEWS_KEY, JSON.stringify(views));
+    } catch (err) {
+      console.warn('Could not save views:', err);
+    }
+  }
+
+  function renderViewSelect(selected = '') {
+    const sel = els.viewSelect;
+    if (!sel) return;
+    sel.length = 1; // keep the "Saved views…" placeholder
+    for (const v of loadViews()) sel.appendChild(new Option(v.name, v.name));
+    sel.value = selected;
+    if (els.viewDelete) els.viewDelete.disabled = !sel.value;
+  }
+
+  function saveCurrentView() {
+    const name = (window.prompt('Name this view', els.viewSelect?.value || '') || '').trim();
+    if (!name) return;
+    const view = { name, query: els.search?.value || '', type: els.typeFilter?.value || '', spec: readFilterSpec() };
+    storeViews([...loadViews().filter(v => v.name !== name), view]);
+    renderViewSelect(name);
+  }
+
+  function applyView(name) {
+    const view = loadViews().find(v => v.name === name);
+    if (els.viewDelete) els.viewDelete.disabled = !view;
+    if (!view) return;
+    if (els.search) els.search.value = view.query || '';
+    if (els.typeFilter) els.typeFilter.value = view.type || '';
+    writeFilterSpec(view.spec);
+    refreshFilteredViews();
+  }
+
+  function deleteView() {
+    const name = els.viewSelect?.value;
+    if (!name) return;
+    storeViews(loadViews().filter(v => v.name !== name));
+    renderViewSelect();
+  }
+
+  function resetFilters() {
+    if (els.search) els.search.value = '';
+    if (els.typeFilter) els.typeFilter.value = '';
+    writeFilterSpec(Filters.emptySpec());
+    renderViewSelect();
+    refreshFilteredViews();
+  }
+
+  function wireFilterBuilder() {
+    writeFilterSpec(filterSpec);
+    renderViewSelect();
+    els.filterBuilder?.addEventListener('change', (e) => {
+      if (e.target === els.viewSelect) return;
+      onFiltersChange();
+    });
+    els.filterRanges?.addEventListener('input', debounce(onFiltersChange, 250));
+    els.filterAddRange?.addEventListener('click', () => addRangeRow());
+    els.viewSelect?.addEventListener('change', () => applyView(els.viewSelect.value));
+    els.viewSave?.addEventListener('click', saveCurrentView);
+    els.viewDelete?.addEventListener('click', deleteView);
+    els.filterReset?.addEventListener('click', resetFilters);
+  }
+
+  // ---------- Selection (chart brushing <-> table) ----------
+  // Rows are copied per render, so identity is the dataset plus the CSV line
+  function rowKey(datasetName, row) {
+    return datasetName + '#' + row.source_line;
+  }
+
+  // Rows brushed on a chart (null clears): the table and KPIs narrow to them, charts dim the rest
+  function setSelection(rows) {
+    selection = rows && rows.length ? new Set(rows.map(r => rowKey(r.datasetName, r))) : null;
+    applySearch();
+    renderKPIs();
+    renderTable();
+    renderInsights();
+    // Re-plot after Plotly has finished handling the drag that fired the selection
+    setTimeout(renderCharts, 0);
+  }
+
+  function renderSelectionChip() {
+    const chip = els.selectionChip;
+    if (!chip) return;
+    chip.hidden = !selection;
+    if (selection) chip.textContent = `${currentRows.length} selected ✕`;
+  }
+
+  // Table row click opens the track details and toggles the ring around its point on the charts
+  function onTableRowClick(e) {
+    const tr = e.target.closest('tr[data-key]');
+    if (!tr) return;
+    highlightKey = highlightKey === tr.dataset.key ? null : tr.dataset.key;
+    els.tbody.querySelectorAll('tr.row-highlight').forEach(el => el.classList.remove('row-highlight'));
+    if (highlightKey) tr.classList.add('row-highlight');
+    const row = currentRows.find(r => rowKey(r.datasetName, r) === tr.dataset.key);
+    if (row) showTrackDetails(row);
+  }
+
+  // Rows behind the charts: table rows narrowed by the chart search box and artist filter
+  function chartRows() {
+    const q = currentSearchTerm;
+    return filteredRows.filter(row =>
+      (!q || (row.title || '').toLowerCase().includes(q)) && matchesArtistFilter(row));
+  }
+
+  // Colour grouping from the "Colour by" select: dataset (default), content type or category
+  function chartGroups(colorBy = els.scatterColorBy?.value || 'dataset') {
+    if (colorBy === 'type') {
+      return { of: r => r.content_type, color: g => TYPE_COLORS[g] || '#888', label: g => TYPE_LABELS[g] || g };
+    }
+    if (colorBy === 'category') {
+      return { of: r => r.category, color: g => CATEGORY_COLORS[g] || '#888', label: g => g };
+    }
+    return {
+      of: r => r.datasetName,
+      color: g => datasets.find(d => d.name === g)?.color || '#888',
+      label: g => g
+    };
+  }
+
   function renderCharts() {
     if (!els.scatterDiv) return;
-    const rows = currentRows;
-    scatterChart = Charts.buildScatter(els.scatterDiv, rows);
+    const rows = chartRows();
+    const opts = {
+      groups: chartGroups(),
+      credits: creditsLabel,
+      onPointClick: showTrackDetails,
+      onSelect: setSelection,
+      isSelected: selection ? r => selection.has(rowKey(r.datasetName, r)) : undefined,
+      isHighlighted: highlightKey ? r => rowKey(r.datasetName, r) === highlightKey : undefined
+    };
+    const axes = scatterAxes();
+    scatterChart = Charts.buildScatter(els.scatterDiv, rows, {
+      ...opts,
+      ...axes,
+      trends: els.scatterTrend?.checked ? trendFits(rows, axes) : []
+    });
+    if (els.categoryBarsDiv) Charts.buildCategoryBars(els.categoryBarsDiv, rows, opts);
+    if (els.histogramDiv) Charts.buildHistogram(els.histogramDiv, rows, els.histogramMetric?.value || 'play_like_ratio', opts);
+    if (els.topNDiv) {
+      const n = parseInt(els.topNCount?.value, 10) || 10;
+      Charts.buildTopN(els.topNDiv, rows, els.topNMetric?.value || 'plays', n, opts);
+    }
+    if (els.timelineDiv) Charts.buildTimeline(els.timelineDiv, rows, opts);
+    if (els.cumulativeDiv) Charts.buildCumulative(els.cumulativeDiv, rows, opts);
+    renderHistoryChart();
+  }
+
+  function renderHistoryChart() {
+    if (!els.historyDiv) return;
+    const track = findHistoryTrack(els.historyTrack?.value);
+    Charts.buildHistory(els.historyDiv, track);
   }
 
   // ---------- Sorting & Search ----------
@@ -379,6 +2014,7 @@
         }
         applySort();
         renderTable();
+        scheduleWorkspaceSave();
       };
     });
   }
@@ -387,8 +2023,14 @@
     const { key, dir } = sortState;
     const sign = dir === 'asc' ? 1 : -1;
     currentRows.sort((a, b) => {
-      const va = a[key];
-      const vb = b[key];
+      const va = sortValue(a, key);
+      const vb = sortValue(b, key);
+
+      if (key === 'content_type') {
+        const ia = Parser.CONTENT_TYPES.indexOf(va);
+        const ib = Parser.CONTENT_TYPES.indexOf(vb);
+        return sign * (ia - ib);
+      }
 
       // Special handling for category column
       if (key === 'category') {
@@ -402,8 +2044,8 @@
       if (typeof va === 'string' || typeof vb === 'string') {
         return sign * String(va || '').localeCompare(String(vb || ''));
       }
-      const na = Number(va);
-      const nb = Number(vb);
+      const na = va === null || va === undefined ? NaN : Number(va);
+      const nb = vb === null || vb === undefined ? NaN : Number(vb);
       if (!Number.isFinite(na) && !Number.isFinite(nb)) return 0;
       if (!Number.isFinite(na)) return 1;
       if (!Number.isFinite(nb)) return -1;
@@ -411,60 +2053,630 @@
     });
   }
 
-  const doSearch = debounce(() => {
-    applySearch();
-    renderTable();
-    renderCharts();
-  }, 150);
+  // Extra CSV columns hold text: numbers sort as numbers, blanks last
+  function sortValue(row, key) {
+    if (!key.startsWith('x_')) return row[key];
+    const v = row.extra?.[key] ?? '';
+    if (v === '') return null;
+    const n = Number(v.replace(/,/g, ''));
+    return Number.isFinite(n) ? n : v;
+  }
+
+  const doSearch = debounce(refreshFilteredViews, 150);
 
   function applySearch() {
-    const q = (els.search?.value || '').trim().toLowerCase();
+    const query = Filters.parseQuery(els.search?.value || '');
+    const type = els.typeFilter?.value || '';
+    if (els.queryErrors) {
+      els.queryErrors.hidden = query.errors.length === 0;
+      els.queryErrors.textContent = query.errors.join(' · ');
+    }
     if (datasets.length === 0) {
+      filteredRows = [];
       currentRows = [];
+      selection = null;
+      highlightKey = null;
+      renderSelectionChip();
       return;
     }
-    const allRows = datasets.filter(ds => ds.visible).flatMap(ds => ds.data.rows.map(r => ({ ...r, datasetName: ds.name, datasetColor: ds.color })));
-    if (!q) {
-      currentRows = allRows.slice();
-    } else {
-      currentRows = allRows.filter(r => (r.title || '').toLowerCase().includes(q));
-    }
+    const allRows = datasets.filter(ds => ds.visible).flatMap(ds => Parser.countedRows(ds.data.rows, ds.options).map(r => ({ ...r, datasetName: ds.name, datasetColor: ds.color })));
+    filteredRows = allRows.filter(r =>
+      Filters.matchesQuery(r, query) &&
+      (!type || r.content_type === type) &&
+      Filters.matchesSpec(r, filterSpec));
+    currentRows = selection ? filteredRows.filter(r => selection.has(rowKey(r.datasetName, r))) : filteredRows.slice();
     applySort();
+    renderSelectionChip();
   }
 
   // ---------- Export ----------
-  function doExport() {
-    if (datasets.length === 0) return;
-    const visibleDatasets = datasets.filter(ds => ds.visible);
-    if (visibleDatasets.length === 0) return;
-    // Combine data for export
-    const combinedRows = visibleDatasets.flatMap(ds => ds.data.rows);
-    const combinedTotals = combinedRows.reduce((acc, d) => {
-      acc.plays += d.plays;
-      acc.likes += d.likes;
-      acc.reposts += d.reposts;
-      acc.comments += d.comments;
-      return acc;
-    }, { plays: 0, likes: 0, reposts: 0, comments: 0 });
-    const combinedData = {
-      rows: combinedRows,
-      totals: combinedTotals,
-      thresholds: {}, // Not used in export
-      avgEngagement: 0, // Not calculated
-      medianPLR: 0
+  const EXPORT_SETTINGS_KEY = 'scAnalyser.exportSettings';
+  const EXPORT_LOCALES = ['en-US', 'en-GB', 'de-DE', 'fr-FR', 'nl-NL'];
+
+  function defaultExportSettings() {
+    return {
+      format: 'csv',
+      layout: 'combined',
+      scope: 'view',
+      summary: true,
+      locale: '',
+      columns: Exporter.COLUMNS.map(c => c.key),
+    };
+  }
+
+  function loadExportSettings() {
+    let saved = null;
+    try {
+      saved = JSON.parse(localStorage.getItem(EXPORT_SETTINGS_KEY) || 'null');
+    } catch (err) {
+      console.warn('Could not read export settings:', err);
+    }
+    return Object.assign(defaultExportSettings(), saved || {});
+  }
+
+  function saveExportSettings(settings) {
+    try {
+      localStorage.setItem(EXPORT_SETTINGS_KEY, JSON.stringify(settings));
+    } catch (err) {
+      console.warn('Could not save export settings:', err);
+    }
+  }
+
+  function fillExportLocales() {
+    const sel = els.exportLocale;
+    if (!sel || sel.options.length > 1) return;
+    const tags = [...new Set([navigator.language, ...EXPORT_LOCALES].filter(Boolean))];
+    for (const tag of tags) {
+      try {
+        const sample = new Intl.NumberFormat(tag, { useGrouping: false, minimumFractionDigits: 2 }).format(1234.5);
+        const prefix = tag === navigator.language ? 'Browser, ' : '';
+        sel.appendChild(new Option(`${prefix}${tag} (${sample})`, tag));
+      } catch (err) {
+        // unsupported locale tag: leave it out
+      }
+    }
+  }
+
+  function radioValue(name) {
+    return els.exportDialog.querySelector(`input[name="${name}"]:checked`)?.value;
+  }
+
+  function setRadio(name, value) {
+    const box = els.exportDialog.querySelector(`input[name="${name}"][value="${value}"]`);
+    if (box) box.checked = true;
+  }
+
+  function readExportSettings() {
+    return {
+      format: radioValue('export-format') || 'csv',
+      layout: radioValue('export-layout') || 'combined',
+      scope: radioValue('export-scope') || 'view',
+      summary: !!els.exportSummary?.checked,
+      locale: els.exportLocale?.value || '',
+      columns: checkedValues(els.exportColumns),
     };
-    const csv = Parser.toCSV(combinedData);
-    const blob = new Blob([csv], { type: 'text/csv;charset=utf-8' });
+  }
+
+  function openExportDialog() {
+    if (!datasets.some(ds => ds.visible)) return;
+    const settings = loadExportSettings();
+    fillExportLocales();
+    setRadio('export-format', settings.format);
+    setRadio('export-layout', settings.layout);
+    setRadio('export-scope', settings.scope);
+    els.exportSummary.checked = settings.summary;
+    els.exportLocale.value = settings.locale;
+    if (els.exportLocale.value !== settings.locale) els.exportLocale.value = '';
+    renderFilterChecks(els.exportColumns, Exporter.COLUMNS.map(c => ({ key: c.key, label: c.header })), settings.columns);
+    renderExportCount();
+    els.exportDialog.showModal();
+  }
+
+  // Rows to export: the table's view, or every row of the visible datasets
+  function exportRows(scope) {
+    if (scope === 'view') return activeRows();
+    const rows = datasets.filter(ds => ds.visible).flatMap(ds => Parser.countedRows(ds.data.rows, ds.options));
+    return dedupeEnabled() ? Duplicates.dedupeRows(rows) : rows;
+  }
+
+  function renderExportCount() {
+    if (!els.exportCount) return;
+    const { scope, columns } = readExportSettings();
+    els.exportCount.textContent = `${exportRows(scope).length} rows, ${columns.length} columns`;
+  }
+
+  // Summary lines per dataset, plus an overall line when several datasets are exported
+  function exportSummary(rows) {
+    const lines = datasets
+      .filter(ds => ds.visible)
+      .map(ds => Exporter.summarize(ds.name, rows.filter(r => r.datasetName === ds.name), ds.data.thresholds))
+      .filter(line => line.tracks > 0);
+    if (lines.length > 1) lines.push(Exporter.summarize('All datasets', rows, null));
+    return lines;
+  }
+
+  function exportFileName(suffix, ext) {
+    const slug = String(suffix).toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '') || 'dataset';
+    return `soundcloud_analytics_${slug}.${ext}`;
+  }
+
+  function doExport(settings) {
+    const rows = exportRows(settings.scope);
+    const columns = Exporter.COLUMNS.filter(c => settings.columns.includes(c.key));
+    if (rows.length === 0 || columns.length === 0) return;
+    const locale = settings.locale || null;
+    const summary = settings.summary ? exportSummary(rows) : null;
+    const groups = settings.layout === 'per-dataset'
+      ? datasets.filter(ds => ds.visible)
+        .map(ds => ({ name: ds.name, rows: rows.filter(r => r.datasetName === ds.name) }))
+        .filter(g => g.rows.length > 0)
+      : [{ name: 'combined', rows }];
+
+    if (settings.format === 'xlsx') {
+      const sheets = groups.map(g => ({ name: g.name === 'combined' ? 'Tracks' : g.name, columns, rows: g.rows }));
+      if (summary) sheets.unshift({ name: 'Summary', columns: Exporter.SUMMARY_COLUMNS, rows: summary });
+      downloadFile(Exporter.toXLSX(sheets), 'soundcloud_analytics.xlsx',
+        'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      return;
+    }
+    if (settings.format === 'json') {
+      const exportedAt = new Date().toISOString();
+      for (const g of groups) {
+        const doc = { exportedAt, scope: settings.scope, dataset: g.name === 'combined' ? null : g.name };
+        if (summary) doc.summary = g.name === 'combined' ? summary : summary.filter(line => line.dataset === g.name);
+        doc.rows = Exporter.toRecords(g.rows, columns);
+        downloadFile(JSON.stringify(doc, null, 2), exportFileName(g.name, 'json'), 'application/json');
+      }
+      return;
+    }
+    for (const g of groups) {
+      downloadFile(Exporter.toCSV(g.rows, columns, locale), exportFileName(g.name, 'csv'), 'text/csv;charset=utf-8');
+    }
+    if (summary) {
+      downloadFile(Exporter.toCSV(summary, Exporter.SUMMARY_COLUMNS, locale), exportFileName('summary', 'csv'), 'text/csv;charset=utf-8');
+    }
+  }
+
+  function wireExportDialog() {
+    const dialog = els.exportDialog;
+    if (!dialog) return;
+    els.exportColumnsAll?.addEventListener('click', () => {
+      els.exportColumns.querySelectorAll('input').forEach(box => { box.checked = true; });
+      renderExportCount();
+    });
+    els.exportColumnsNone?.addEventListener('click', () => {
+      els.exportColumns.querySelectorAll('input').forEach(box => { box.checked = false; });
+      renderExportCount();
+    });
+    dialog.addEventListener('change', renderExportCount);
+    dialog.addEventListener('close', () => {
+      if (dialog.returnValue !== 'export') return;
+      const settings = readExportSettings();
+      saveExportSettings(settings);
+      doExport(settings);
+    });
+  }
+
+  function downloadFile(content, filename, type) {
+    const blob = new Blob([content], { type });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
-    a.download = 'soundcloud_analytics_combined.csv';
+    a.download = filename;
     document.body.appendChild(a);
     a.click();
     a.remove();
     URL.revokeObjectURL(url);
   }
 
+  // ---------- Session files ----------
+  // A session is the workspace (datasets and view) plus the global category settings and
+  // title/type rules, written to one JSON file someone else can open for the same view.
+  function currentSettings() {
+    const { categoryMode, plrThresholds, compositeWeights, artistRules, typeRules } = getOptions();
+    return { categoryMode, plrThresholds, compositeWeights, artistRules, typeRules };
+  }
+
+  function applySettings(settings) {
+    if (settings.categoryMode && els.categoryMode?.querySelector(`option[value="${settings.categoryMode}"]`)) {
+      els.categoryMode.value = settings.categoryMode;
+    }
+    for (const [key, input] of Object.entries(els.plrThresholdInputs)) {
+      if (input && Number.isFinite(settings.plrThresholds?.[key])) input.value = settings.plrThresholds[key];
+    }
+    for (const [key, input] of Object.entries(els.weightInputs)) {
+      if (input && Number.isFinite(settings.compositeWeights?.[key])) input.value = settings.compositeWeights[key];
+    }
+    if (settings.artistRules) writeArtistRules(Object.assign({}, Parser.DEFAULT_ARTIST_RULES, settings.artistRules));
+    if (settings.typeRules) writeTypeRules(Object.assign({}, Parser.DEFAULT_TYPE_RULES, settings.typeRules));
+    syncCategoryControls();
+    saveCategorySettings();
+    saveArtistRules();
+    saveTypeRules();
+  }
+
+  function saveSession() {
+    if (datasets.length === 0) return;
+    const today = isoDay(new Date());
+    const session = Session.create({
+      settings: currentSettings(),
+      ui: uiSnapshot(),
+      aggregates: aggregates(activeRows()),
+      datasets: datasets.map(ds => ({
+        ...datasetRecord(ds),
+        // Relative POSTED values were measured from today; pin that so the file reopens identically
+        anchorDate: ds.anchorDate || today,
+        options: ds.options,
+        data: ds.data,
+      })),
+    });
+    downloadFile(Session.stringify(session), `soundcloud_analyser_session_${today}.json`, 'application/json');
+  }
+
+  async function openSessionFile(e) {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    let session;
+    try {
+      session = Session.parse(await readFile(file));
+    } catch (err) {
+      alert(`Could not open session: ${err.message}`);
+      return;
+    }
+    if (datasets.length && !window.confirm(`Replace the datasets in workspace "${workspaceName}" with this session?`)) return;
+    restoringWorkspace = true;
+    try {
+      applySettings(session.settings);
+      restoreWorkspace(session);
+    } finally {
+      restoringWorkspace = false;
+    }
+    saveWorkspace();
+  }
+
+
+  // ---------- Report ----------
+  function openReportDialog() {
+    const sel = els.reportDataset;
+    if (!sel || datasets.length === 0) return;
+    const previous = sel.value;
+    sel.innerHTML = '';
+    for (const ds of datasets) sel.appendChild(new Option(ds.name, ds.name));
+    sel.value = datasets.some(ds => ds.name === previous) ? previous : (datasets.find(ds => ds.visible) || datasets[0]).name;
+    els.reportDialog.showModal();
+  }
+
+  // Static images of the key charts for one dataset; a chart that fails is left out
+  async function reportCharts(ds) {
+    const rows = Parser.countedRows(ds.data.rows, ds.options);
+    const byDataset = { of: r => r.datasetName, color: () => ds.color, label: g => g };
+    const axes = scatterAxes();
+    const fit = Parser.logLogTrend(rows, axes.x, axes.y);
+    const specs = [
+      {
+        title: `${Charts.METRICS[axes.y]?.label || axes.y} vs ${Charts.METRICS[axes.x]?.label || axes.x}, by category`,
+        build: div => Charts.buildScatter(div, rows, {
+          ...axes,
+          groups: chartGroups('category'),
+          trends: fit ? [{ name: ds.name, color: '#333333', fit }] : [],
+        }),
+      },
+      { title: 'Tracks per category', build: div => Charts.buildCategoryBars(div, rows, { groups: byDataset }) },
+      { title: 'Play/Like distribution', build: div => Charts.buildHistogram(div, rows, 'play_like_ratio', { groups: byDataset }) },
+      { title: 'Top 10 tracks by plays', build: div => Charts.buildTopN(div, rows, 'plays', 10, { groups: byDataset }) },
+      { title: 'Release timeline', build: div => Charts.buildTimeline(div, rows, { groups: byDataset }) },
+    ];
+    const images = [];
+    for (const spec of specs) {
+      try {
+        images.push({ title: spec.title, src: await Charts.toImage(spec.build) });
+      } catch (err) {
+        console.warn(`Could not render "${spec.title}" for the report:`, err);
+      }
+    }
+    return images;
+  }
+
+  function reportQuality(rows) {
+    const tracks = rows
+      .map(r => ({ title: r.title, flags: qualityFlags(r) }))
+      .filter(t => t.flags.length);
+    const counts = new Map();
+    for (const t of tracks) {
+      for (const f of t.flags) counts.set(f, (counts.get(f) || 0) + 1);
+    }
+    return {
+      counts: [...counts].map(([label, count]) => ({ label, count })).sort((a, b) => b.count - a.count),
+      tracks,
+    };
+  }
+
+  async function generateReport(name) {
+    const ds = datasets.find(d => d.name === name);
+    if (!ds) return;
+    const rows = Parser.countedRows(ds.data.rows, ds.options);
+    const { tracks, totals, avgEngagement, medianPLR } = aggregates(rows);
+    const thresholds = ds.data.thresholds || {};
+    document.body.classList.add('report-open');
+    els.report.hidden = false;
+    els.reportBody.innerHTML = '';
+    els.reportStatus.textContent = 'Rendering charts…';
+    els.btnPrintReport.disabled = true;
+    const charts = await reportCharts(ds);
+    Report.render(els.reportBody, {
+      title: ds.name,
+      subtitle: [
+        ds.capturedAt ? `Data captured ${ds.capturedAt}` : null,
+        `Report generated ${isoDay(new Date())}`,
+        `${tracks} tracks`,
+      ].filter(Boolean).join(' · '),
+      kpis: [
+        { label: 'Total Plays', value: fmt.int(totals.plays) },
+        { label: 'Avg Engagement %', value: fmt.pct2(avgEngagement) },
+        { label: 'Median Play/Like', value: medianPLR != null ? fmt.num2(medianPLR) : '' },
+        { label: 'Tracks', value: String(tracks) },
+      ],
+      categories: FILTER_CATEGORIES.map(c => {
+        const count = rows.filter(r => r.category === c).length;
+        return { name: c, count, share: fmt.pct2(tracks ? (count / tracks) * 100 : 0) };
+      }),
+      highlights: insightFindings(rows).map(f => f.text),
+      charts,
+      quality: reportQuality(rows),
+      thresholds: Object.assign({}, thresholds, {
+        modeLabel: els.categoryMode?.querySelector(`option[value="${thresholds.mode}"]`)?.textContent,
+        metricLabel: Charts.METRICS[thresholds.metric]?.label,
+      }),
+      formatNumber: n => fmt.num2(n),
+    });
+    els.reportStatus.textContent = charts.length < 5 ? 'Some charts could not be rendered (see console)' : '';
+    els.btnPrintReport.disabled = false;
+    window.scrollTo(0, 0);
+  }
+
+  function closeReport() {
+    els.report.hidden = true;
+    els.reportBody.innerHTML = '';
+    document.body.classList.remove('report-open');
+  }
+
+  function wireReport() {
+    els.btnReport?.addEventListener('click', openReportDialog);
+    els.reportDialog?.addEventListener('close', () => {
+      if (els.reportDialog.returnValue === 'generate') generateReport(els.reportDataset.value);
+    });
+    els.btnPrintReport?.addEventListener('click', () => window.print());
+    els.btnCloseReport?.addEventListener('click', closeReport);
+  }
+
+  // ---------- Workspaces ----------
+  // Datasets (raw CSV text included) and UI state are saved to IndexedDB under a workspace
+  // name after every change. Category settings and title/type rules stay global preferences.
+  const WORKSPACE_KEY = 'scAnalyser.workspace';
+  const DEFAULT_WORKSPACE = 'Default';
+
+  // What it takes to rebuild a dataset: its CSV text and metadata (rows are re-derived)
+  function datasetRecord(ds) {
+    return {
+      name: ds.name,
+      color: ds.color,
+      text: ds.text,
+      capturedAt: ds.capturedAt,
+      capturedAtAuto: ds.capturedAtAuto,
+      fileDate: ds.fileDate,
+      anchorDate: ds.anchorDate,
+      columns: ds.columns,
+      edits: ds.edits,
+      visible: ds.visible,
+    };
+  }
+
+  function workspaceSnapshot() {
+    return {
+      name: workspaceName,
+      datasets: datasets.map(datasetRecord),
+      ui: uiSnapshot(),
+    };
+  }
+
+  // Import options, sort, search, filters, artist selection, chart controls and active tab
+  function uiSnapshot() {
+    return {
+      options: {
+        missingAsZero: !!els.optMissingAsZero?.checked,
+        showQuality: !!els.optShowQuality?.checked,
+        asOf: els.optAsOf?.value || '',
+        dateBasis: els.optDateBasis?.value || 'nominal',
+        numberFormat: els.optNumberFormat?.value || 'auto',
+        groupByType: !!els.optGroupByType?.checked,
+        includeReposts: !!els.optIncludeReposts?.checked,
+        dedupe: dedupeEnabled(),
+      },
+      sortState: { ...sortState },
+      extraColumns: [...shownExtraColumns],
+      search: els.search?.value || '',
+      typeFilter: els.typeFilter?.value || '',
+      filterSpec: readFilterSpec(),
+      chartSearch: els.trackSearch?.value || '',
+      selectedArtists: [...selectedArtists],
+      charts: {
+        colorBy: els.scatterColorBy?.value,
+        ...scatterAxes(),
+        trend: !!els.scatterTrend?.checked,
+        histogramMetric: els.histogramMetric?.value,
+        topNMetric: els.topNMetric?.value,
+        topNCount: els.topNCount?.value,
+      },
+      activeTab: document.querySelector('.tab.active')?.getAttribute('data-tab') || 'table',
+    };
+  }
+
+  async function saveWorkspace() {
+    if (restoringWorkspace) return;
+    try {
+      await WorkspaceStore.save(workspaceSnapshot());
+      setWorkspaceStatus(`Saved ${new Date().toLocaleTimeString()}`);
+    } catch (err) {
+      console.warn('Could not save workspace:', err);
+      setWorkspaceStatus('Not saved: browser storage unavailable');
+    }
+  }
+
+  const scheduleWorkspaceSave = debounce(saveWorkspace, 500);
+
+  function setWorkspaceStatus(text) {
+    if (els.workspaceStatus) els.workspaceStatus.textContent = text;
+  }
+
+  function setControl(el, value) {
+    if (!el || value === undefined || value === null) return;
+    if (el.type === 'checkbox') el.checked = !!value;
+    else el.value = value;
+  }
+
+  // Put UI controls back as saved; missing values fall back to the page defaults
+  function applyUiState(ui = {}) {
+    const o = ui.options || {};
+    setControl(els.optMissingAsZero, o.missingAsZero ?? true);
+    setControl(els.optShowQuality, o.showQuality ?? true);
+    setControl(els.optAsOf, o.asOf ?? '');
+    setControl(els.optDateBasis, o.dateBasis || 'nominal');
+    setControl(els.optNumberFormat, o.numberFormat || 'auto');
+    setControl(els.optGroupByType, o.groupByType ?? false);
+    setControl(els.optIncludeReposts, o.includeReposts ?? false);
+    setControl(els.optDedupe, o.dedupe ?? false);
+    sortState = ui.sortState?.key ? { ...ui.sortState } : { key: 'plays', dir: 'desc' };
+    shownExtraColumns = [...(ui.extraColumns || [])];
+    setControl(els.search, ui.search ?? '');
+    setControl(els.typeFilter, ui.typeFilter ?? '');
+    setControl(els.trackSearch, ui.chartSearch ?? '');
+    currentSearchTerm = (ui.chartSearch || '').toLowerCase();
+    selectedArtists = [...(ui.selectedArtists || [])];
+    const c = ui.charts || {};
+    setControl(els.scatterColorBy, c.colorBy || 'dataset');
+    setControl(els.scatterX, c.x || 'plays');
+    setControl(els.scatterY, c.y || 'like_pct');
+    setControl(els.scatterSize, c.size ?? 'plays');
+    setControl(els.scatterXLog, c.xLog ?? true);
+    setControl(els.scatterYLog, c.yLog ?? false);
+    setControl(els.scatterTrend, c.trend ?? true);
+    setControl(els.histogramMetric, c.histogramMetric || 'play_like_ratio');
+    setControl(els.topNMetric, c.topNMetric || 'plays');
+    setControl(els.topNCount, c.topNCount || '10');
+  }
+
+  // Replace everything loaded with a saved workspace (or an empty one)
+  function restoreWorkspace(ws) {
+    const ui = (ws && ws.ui) || {};
+    applyUiState(ui);
+    selection = null;
+    highlightKey = null;
+    datasets = [];
+    // Dataset names must exist before the filter builder restores its dataset checkboxes
+    for (const saved of (ws && ws.datasets) || []) {
+      try {
+        datasets.push(buildDataset(saved, saved.text));
+      } catch (err) {
+        console.warn(`Could not restore dataset ${saved.name}:`, err);
+      }
+    }
+    writeFilterSpec(ui.filterSpec);
+    refreshCrossDataset();
+    updateCombinedData();
+    createDatasetControls();
+    renderAll();
+    syncDataButtons();
+    switchTab(ui.activeTab || 'table');
+  }
+
+  async function openWorkspace(name) {
+    restoringWorkspace = true;
+    workspaceName = name;
+    try {
+      localStorage.setItem(WORKSPACE_KEY, name);
+    } catch (err) {
+      console.warn('Could not remember workspace:', err);
+    }
+    let ws = null;
+    try {
+      ws = await WorkspaceStore.load(name);
+    } catch (err) {
+      console.warn('Could not load workspace:', err);
+      setWorkspaceStatus('Browser storage unavailable: changes will not be saved');
+    }
+    try {
+      restoreWorkspace(ws);
+    } finally {
+      restoringWorkspace = false;
+    }
+    await renderWorkspaceSelect();
+    if (ws) setWorkspaceStatus(`Restored ${ws.datasets?.length || 0} dataset(s)`);
+  }
+
+  async function renderWorkspaceSelect() {
+    const sel = els.workspaceSelect;
+    if (!sel) return;
+    let names = [];
+    try {
+      names = (await WorkspaceStore.list()).map(w => w.name);
+    } catch (err) {
+      // storage unavailable: only the current workspace is listed
+    }
+    if (!names.includes(workspaceName)) names.push(workspaceName);
+    sel.innerHTML = '';
+    for (const name of names.sort((a, b) => a.localeCompare(b))) sel.appendChild(new Option(name, name));
+    sel.value = workspaceName;
+  }
+
+  async function switchWorkspace(name) {
+    if (!name || name === workspaceName) return;
+    await saveWorkspace();
+    await openWorkspace(name);
+  }
+
+  async function newWorkspace() {
+    const name = (window.prompt('Name the new workspace') || '').trim();
+    if (!name) return;
+    await saveWorkspace();
+    const existing = await WorkspaceStore.load(name).catch(() => null);
+    if (existing) {
+      await openWorkspace(name);
+      return;
+    }
+    workspaceName = name;
+    restoreWorkspace(null);
+    await saveWorkspace();
+    await openWorkspace(name);
+  }
+
+  async function deleteWorkspace() {
+    if (!window.confirm(`Delete workspace "${workspaceName}" and its datasets from this browser?`)) return;
+    try {
+      await WorkspaceStore.remove(workspaceName);
+    } catch (err) {
+      console.warn('Could not delete workspace:', err);
+    }
+    const remaining = await WorkspaceStore.list().catch(() => []);
+    await openWorkspace(remaining[0]?.name || DEFAULT_WORKSPACE);
+  }
+
+  function clearWorkspace() {
+    if (datasets.length && !window.confirm(`Remove all datasets and reset filters in "${workspaceName}"?`)) return;
+    restoreWorkspace(null);
+    saveWorkspace();
+  }
+
+  function wireWorkspace() {
+    els.workspaceSelect?.addEventListener('change', () => switchWorkspace(els.workspaceSelect.value));
+    els.workspaceNew?.addEventListener('click', newWorkspace);
+    els.workspaceDelete?.addEventListener('click', deleteWorkspace);
+    els.workspaceClear?.addEventListener('click', clearWorkspace);
+    // Any control change or typing is worth a (debounced) save
+    document.addEventListener('change', scheduleWorkspaceSave);
+    document.addEventListener('input', scheduleWorkspaceSave);
+  }
+
   // ---------- Tabs ----------
   function switchTab(name) {
     document.querySelectorAll('.tab').forEach(btn => {
@@ -497,21 +2709,57 @@
     els.btnLoadSample.addEventListener('click', loadSample);
 
     // Export
-    els.btnExport.addEventListener('click', doExport);
+    els.btnExport.addEventListener('click', openExportDialog);
+    wireExportDialog();
+    wireReport();
+
+    // Session files
+    els.btnSaveSession?.addEventListener('click', saveSession);
+    els.btnOpenSession?.addEventListener('click', () => els.sessionInput?.click());
+    els.sessionInput?.addEventListener('change', openSessionFile);
 
     // Options change re-process all datasets
-    [els.optMissingAsZero, els.optShowQuality, els.categoryMode].forEach(ctrl => {
-      ctrl?.addEventListener('change', async () => {
-        if (datasets.length > 0) {
-          // Re-process all datasets with new options
-          for (let i = 0; i < datasets.length; i++) {
-            const ds = datasets[i];
-            // We need the original text, but we don't have it. For now, alert to re-upload.
-            alert('Option changed. Please re-upload the CSVs to re-process with new settings.');
-            break;
-          }
-        }
-      });
+    [els.categoryMode, ...Object.values(els.plrThresholdInputs), ...Object.values(els.weightInputs)].forEach(ctrl => {
+      ctrl?.addEventListener('change', onCategorySettingsChange);
+    });
+    [els.optMissingAsZero, els.optShowQuality, els.optDateBasis, els.optNumberFormat].forEach(ctrl => {
+      ctrl?.addEventListener('change', reprocessDatasets);
+    });
+    els.optAsOf?.addEventListener('change', applyAsOfDate);
+    els.optDedupe?.addEventListener('change', () => {
+      renderKPIs();
+      renderTable();
+    });
+    els.typeRules?.addEventListener('change', onTypeRulesChange);
+    els.optGroupByType?.addEventListener('change', reprocessDatasets);
+    els.optIncludeReposts?.addEventListener('change', reprocessDatasets);
+    els.selectionChip?.addEventListener('click', () => setSelection(null));
+    els.tbody?.addEventListener('click', onTableRowClick);
+    els.btnImportPage?.addEventListener('click', openImportDialog);
+    els.importFile?.addEventListener('change', onImportFile);
+    els.importText?.addEventListener('input', debounce(onImportText, 300));
+    els.importDialog?.addEventListener('close', () => {
+      if (els.importDialog.returnValue === 'import') addImportedDataset();
+    });
+    els.extraColumnChecks?.addEventListener('change', onExtraColumnsChange);
+    els.typeFilter?.addEventListener('change', refreshFilteredViews);
+    wireFilterBuilder();
+    els.scatterColorBy?.addEventListener('change', renderCharts);
+    [els.histogramMetric, els.topNMetric, els.topNCount].forEach(sel => sel?.addEventListener('change', renderCharts));
+    [els.scatterX, els.scatterY, els.scatterSize, els.scatterXLog, els.scatterYLog, els.scatterTrend]
+      .forEach(ctrl => ctrl?.addEventListener('change', () => {
+        renderCharts();
+        renderInsights();
+      }));
+
+    [...Object.values(els.artistRuleInputs), els.ruleStripNumbers, els.ruleOverrides].forEach(ctrl => {
+      ctrl?.addEventListener('change', onArtistRulesChange);
+    });
+
+    els.clearArtists?.addEventListener('click', () => {
+      selectedArtists = [];
+      renderArtistControls();
+      renderCharts();
     });
 
     // Tabs
@@ -519,9 +2767,12 @@
       btn.addEventListener('click', () => {
         const name = btn.getAttribute('data-tab');
         switchTab(name);
+        scheduleWorkspaceSave();
         if (name === 'charts') {
           // ensure chart is sized when visible
           renderCharts();
+        } else if (name === 'compare') {
+          renderCompare();
         }
       });
     });
@@ -537,6 +2788,9 @@
       });
     }
 
+    // Snapshot history track picker
+    els.historyTrack?.addEventListener('change', renderHistoryChart);
+
     if (els.clearSearch) {
       els.clearSearch.addEventListener('click', () => {
         if (els.trackSearch) {
@@ -551,136 +2805,214 @@
     const debouncedResize = debounce(() => {
       if (document.querySelector('#tab-charts').classList.contains('active')) {
         renderCharts();
+      } else if (document.querySelector('#tab-compare')?.classList.contains('active')) {
+        renderCompare();
       }
     }, 150);
     window.addEventListener('resize', debouncedResize);
   }
 
-  // ---------- Charts module wrapper ----------
-  const Charts = (function () {
-    function buildScatter(div, rows) {
-      if (!rows || rows.length === 0) {
-        Plotly.newPlot(div, [], {});
-        return null;
-      }
+  // ---------- Track Details ----------
+  // Metrics compared against the dataset and same-age peers in the details panel
+  const DETAIL_METRICS = [
+    { key: 'plays', label: 'Plays', format: 'int' },
+    { key: 'likes', label: 'Likes', format: 'int' },
+    { key: 'reposts', label: 'Reposts', format: 'int' },
+    { key: 'comments', label: 'Comments', format: 'int' },
+    { key: 'play_like_ratio', label: 'Play/Like', format: 'num2', lowerIsBetter: true },
+    { key: 'engagement_rate_pct', label: 'Engagement %', format: 'pct2' },
+    { key: 'like_pct', label: 'Like %', format: 'pct2' },
+    { key: 'plays_per_day', label: 'Plays/Day', format: 'num2' },
+  ];
+  const PEER_COUNT = 10;
+
+  const QUALITY_LABELS = {
+    posted: 'Upload date not recognised',
+    likes: 'Likes missing or not a number',
+    reposts: 'Reposts missing or not a number',
+    plays: 'Plays missing or not a number',
+    comments: 'Comments missing or not a number',
+    plays_zero_for_rates: 'No plays: rates shown as 0',
+    url: 'Link column is not a SoundCloud URL',
+    likes_over_plays: 'More likes than plays',
+    negative_likes: 'Negative likes',
+    negative_reposts: 'Negative reposts',
+    negative_plays: 'Negative plays',
+    negative_comments: 'Negative comments',
+  };
 
-      // Group data by dataset
-      const datasetNames = [...new Set(rows.map(r => r.datasetName))];
+  // Number including Infinity (a Play/Like with zero likes still ranks, as the worst)
+  function isRankable(v) {
+    return typeof v === 'number' && !Number.isNaN(v);
+  }
 
-      // Filter data based on search
-      const filteredRows = rows.filter(row => {
-        const matchesSearch = !currentSearchTerm ||
-          (row.title || '').toLowerCase().includes(currentSearchTerm.toLowerCase());
-        return matchesSearch;
-      });
+  // Share (%) of the other rows this value beats on a metric
+  function beatsPct(value, others, lowerIsBetter) {
+    const vals = others.filter(isRankable);
+    if (!isRankable(value) || vals.length === 0) return null;
+    const worse = vals.filter(v => (lowerIsBetter ? v > value : v < value)).length;
+    return (worse / vals.length) * 100;
+  }
 
-      // Calculate min/max values for scaling
-      const playsValues = filteredRows.map(r => r.plays).filter(Number.isFinite);
-      const likePctValues = filteredRows.map(r => r.like_pct).filter(Number.isFinite);
-
-      const minPlays = Math.min(...playsValues);
-      const maxPlays = Math.max(...playsValues);
-      const minLikePct = Math.min(...likePctValues);
-      const maxLikePct = Math.max(...likePctValues);
-
-      // Create traces for each dataset
-      const traces = datasetNames.map((dsName, index) => {
-        const dsRows = filteredRows.filter(r => r.datasetName === dsName);
-        const ds = datasets.find(d => d.name === dsName);
-
-        return {
-          x: dsRows.map(r => r.plays),
-          y: dsRows.map(r => r.like_pct),
-          mode: 'markers',
-          type: 'scatter',
-          name: dsName,
-          marker: {
-            size: dsRows.map(r => Math.max(8, Math.min(25, Math.log(r.plays + 1) * 2))),
-            color: ds ? ds.color : '#888',
-            line: { width: 1, color: 'rgba(255,255,255,0.8)' }
-          },
-          customdata: dsRows.map(r => ({
-            title: r.title,
-            plays: r.plays,
-            likes: r.likes,
-            likePct: r.like_pct,
-            artist: r.artist || 'Unknown',
-            dataset: dsName
-          })),
-          hovertemplate:
-            `<b>${dsName}</b><br>` +
-            `<b>%{customdata.title}</b><br>` +
-            `Plays: %{x:,.0f}<br>` +
-            `Likes: %{customdata.likes:,.0f}<br>` +
-            `Like %: %{y:.2f}%<br>` +
-            `<extra></extra>`
-        };
-      });
+  // The dataset's tracks closest in age (log days), excluding the track itself
+  function similarAgePeers(track, rows) {
+    if (!Number.isFinite(track.days_since_upload)) return [];
+    const age = Math.log1p(track.days_since_upload);
+    return rows
+      .filter(r => r !== track && Number.isFinite(r.days_since_upload))
+      .sort((a, b) => Math.abs(Math.log1p(a.days_since_upload) - age) - Math.abs(Math.log1p(b.days_since_upload) - age))
+      .slice(0, PEER_COUNT);
+  }
 
-      const layout = {
-        title: {
-          text: 'SoundCloud: Plays vs Like Percentage',
-          font: { size: 16, weight: 600 }
-        },
-        xaxis: {
-          title: { text: 'Plays', font: { size: 14 } },
-          type: 'log',
-          autorange: true,
-          gridcolor: 'rgba(0,0,0,0.1)',
-          showgrid: true
-        },
-        yaxis: {
-          title: { text: 'Like %', font: { size: 14 } },
-          type: 'linear',
-          range: [0, Math.max(100, maxLikePct * 1.1)],
-          gridcolor: 'rgba(0,0,0,0.1)',
-          showgrid: true
-        },
-        margin: { t: 50, b: 80, l: 60, r: 20 },
-        showlegend: true,
-        hovermode: 'closest',
-        paper_bgcolor: 'rgba(0,0,0,0)',
-        plot_bgcolor: 'rgba(0,0,0,0)'
-      };
+  // Coerced or unreadable cells and suspicious values, as labels
+  function rowIssues(track) {
+    const q = track.quality || {};
+    return [...(q.invalid_fields || []), ...(q.warnings || [])].map(f => QUALITY_LABELS[f] || f);
+  }
 
-      const config = {
-        responsive: true,
-        displayModeBar: true,
-        modeBarButtonsToRemove: ['pan2d', 'lasso2d', 'select2d']
-      };
+  function qualityFlags(track) {
+    const flags = rowIssues(track);
+    if (track.date_precision && track.date_precision !== 'day') {
+      flags.push(`Approximate upload date (within a ${track.date_precision})`);
+    }
+    if (track.edited?.length) flags.push(`Corrected by hand: ${track.edited.map(f => FIELD_LABELS[f]).join(', ')}`);
+    if (track.duplicate_count > 1 && !track.duplicate_canonical) {
+      flags.push(`Shared track: another dataset has the copy with most plays`);
+    }
+    return flags;
+  }
 
-      Plotly.newPlot(div, traces, layout, config);
+  // Opens the panel for a row (from the table or any chart)
+  function showTrackDetails(row) {
+    if (!els.detailsPanel) return;
 
-      // Add click handler
-      div.on('plotly_click', function(data) {
-        if (data.points.length > 0) {
-          const point = data.points[0];
-          const trackData = point.data.customdata[point.pointIndex];
-          showTrackDetails(trackData);
-        }
-      });
+    const panel = els.detailsPanel;
+    const ds = datasets.find(d => d.name === row.datasetName);
+    const datasetRows = ds ? Parser.countedRows(ds.data.rows, ds.options) : [row];
+    // Rows on charts/table are copies; use the dataset's own row so it can be excluded from peers
+    const track = (ds ? ds.data.rows : datasetRows).find(r => r.source_line === row.source_line) || row;
+    const others = datasetRows.filter(r => r !== track);
+    const peers = similarAgePeers(track, datasetRows);
+
+    panel.querySelector('#track-title').textContent = track.title || 'Unknown Track';
+
+    const meta = panel.querySelector('#details-meta');
+    meta.innerHTML = '';
+    if (ds) {
+      const swatch = document.createElement('span');
+      swatch.className = 'dataset-color inline';
+      swatch.style.backgroundColor = ds.color;
+      meta.appendChild(swatch);
+      meta.appendChild(document.createTextNode(ds.name + ' · ' + creditsLabel(track)));
+    }
+    meta.insertAdjacentHTML('beforeend', ' ' + fmt.typeChip(track.content_type) + ' ' + fmt.categoryChip(track.category));
+
+    const stats = [
+      { label: 'Posted', html: fmt.postedWithPrecision(track.posted_iso, track.date_precision) },
+      { label: 'Days since upload', text: fmt.range(track.days_min, track.days_max, String) },
+      { label: 'Plays', text: fmt.int(track.plays) },
+      { label: 'Likes', text: fmt.int(track.likes) },
+      { label: 'Reposts', text: fmt.int(track.reposts) },
+      { label: 'Comments', text: fmt.int(track.comments) },
+      { label: 'Play/Like', text: Number.isFinite(track.play_like_ratio) ? fmt.num2(track.play_like_ratio) : '∞' },
+      { label: 'Engagement %', text: fmt.pct2(track.engagement_rate_pct) },
+      { label: 'Like %', text: fmt.pct2(track.like_pct) },
+      { label: 'Plays/Day', text: fmt.range(track.plays_per_day_min, track.plays_per_day_max, fmt.num2) },
+      { label: 'Δ Plays', text: fmt.delta(track.plays_delta) },
+      { label: 'Growth %/30d', text: fmt.pct2(track.growth_rate_pct) },
+      { label: 'Expected plays', text: Number.isFinite(track.expected_plays) ? fmt.int(Math.round(track.expected_plays)) : '' },
+      { label: 'Expected likes', text: Number.isFinite(track.expected_likes) ? fmt.int(Math.round(track.expected_likes)) : '' },
+      { label: 'vs Expected', text: fmt.signedPct(track.age_performance_pct) },
+      { label: 'Composite score', text: Number.isFinite(track.composite_score) ? fmt.num2(track.composite_score) : '' },
+    ].filter(st => st.html || st.text);
+    const grid = panel.querySelector('#details-stats');
+    grid.innerHTML = '';
+    for (const st of stats) {
+      const div = document.createElement('div');
+      div.className = 'stat';
+      const label = document.createElement('label');
+      label.textContent = st.label;
+      const value = document.createElement('span');
+      if (st.html) value.innerHTML = st.html;
+      else value.textContent = st.text;
+      div.append(label, value);
+      grid.appendChild(div);
+    }
 
-      return traces;
+    const peerHead = panel.querySelector('#details-peers-head');
+    if (peerHead) {
+      const ages = peers.map(p => p.days_since_upload);
+      peerHead.textContent = peers.length
+        ? `Similar age (${peers.length}, ${Math.min(...ages)}–${Math.max(...ages)} d)`
+        : 'Similar age';
+    }
+    const compareBody = panel.querySelector('#details-compare tbody');
+    compareBody.innerHTML = '';
+    for (const m of DETAIL_METRICS) {
+      const beats = beatsPct(track[m.key], others.map(r => r[m.key]), m.lowerIsBetter);
+      const dsMedian = Parser.median(datasetRows.map(r => r[m.key]));
+      const peerMedian = Parser.median(peers.map(r => r[m.key]));
+      const tr = document.createElement('tr');
+      for (const text of [
+        m.label,
+        beats === null ? '' : Math.round(beats) + '%',
+        dsMedian === null ? '' : fmt[m.format](dsMedian),
+        peerMedian === null ? '' : fmt[m.format](peerMedian),
+      ]) {
+        const td = document.createElement('td');
+        td.textContent = text;
+        tr.appendChild(td);
+      }
+      compareBody.appendChild(tr);
     }
 
-    return { buildScatter };
-  })();
+    // Per-snapshot values when this track was matched across dated exports
+    const history = panel.querySelector('#details-history');
+    const series = track.history_id ? findHistoryTrack(track.history_id) : null;
+    history.hidden = !series;
+    if (series) {
+      const body = history.querySelector('tbody');
+      body.innerHTML = '';
+      for (const p of series.points) {
+        const tr = document.createElement('tr');
+        for (const text of [p.date, fmt.int(p.plays), fmt.int(p.likes), fmt.int(p.reposts), fmt.int(p.comments)]) {
+          const td = document.createElement('td');
+          td.textContent = text;
+          tr.appendChild(td);
+        }
+        body.appendChild(tr);
+      }
+    }
 
-  // ---------- Track Details ----------
-  function showTrackDetails(track) {
-    if (!els.detailsPanel) return;
+    const flags = qualityFlags(track);
+    const quality = panel.querySelector('#details-quality');
+    quality.hidden = flags.length === 0;
+    const list = quality.querySelector('ul');
+    list.innerHTML = '';
+    for (const f of flags) {
+      const li = document.createElement('li');
+      li.textContent = f;
+      list.appendChild(li);
+    }
 
-    const panel = els.detailsPanel;
-    const titleEl = panel.querySelector('#track-title');
-    const playsEl = panel.querySelector('#plays');
-    const likesEl = panel.querySelector('#likes');
-    const ratioEl = panel.querySelector('#ratio');
     const playButton = panel.querySelector('#playButton');
+    if (playButton) {
+      playButton.hidden = !track.url;
+      if (track.url) playButton.href = track.url;
+      else playButton.removeAttribute('href');
+    }
 
-    if (titleEl) titleEl.textContent = track.title || 'Unknown Track';
-    if (playsEl) playsEl.textContent = fmt.int(track.plays);
-    if (likesEl) likesEl.textContent = fmt.int(track.likes);
-    if (ratioEl) ratioEl.textContent = fmt.num2(track.likePct) + '%';
+    // Reposts can only be told apart when the file says so; otherwise mark them here
+    const rowTypeButton = panel.querySelector('#rowTypeButton');
+    if (rowTypeButton) {
+      rowTypeButton.hidden = !ds || !Number.isInteger(track.source_line);
+      const next = track.row_type === 'repost' ? 'upload' : 'repost';
+      rowTypeButton.textContent = next === 'repost' ? 'Mark as repost' : 'Mark as upload';
+      rowTypeButton.onclick = () => {
+        panel.style.display = 'none';
+        applyEdit(ds, track.source_line, 'row_type', next);
+      };
+    }
 
     // Show panel with animation
     panel.style.display = 'block';
@@ -697,9 +3029,24 @@
 
   // ---------- Init ----------
   function init() {
+    loadCategorySettings();
+    loadArtistRules();
+    loadTypeRules();
+    loadInsightRules();
+    renderInsightRuleToggles();
+    syncCategoryControls();
+    fillScatterSelects();
     wireEvents();
+    wireWorkspace();
     // Activate default tab states
     switchTab('table');
+    let saved = null;
+    try {
+      saved = localStorage.getItem(WORKSPACE_KEY);
+    } catch (err) {
+      // storage blocked: start in the default workspace
+    }
+    openWorkspace(saved || DEFAULT_WORKSPACE);
   }
 
   document.addEventListener('DOMContentLoaded', init);
@@ -1,9 +1,544 @@
-/* charts.js
-   Placeholder for additional chart modules.
-   Note: The initial scatter chart and trend line are implemented inside app/app.js (Charts.buildScatter()).
-   This file is included to allow future extraction/expansion of chart logic without changing index.html script order.
+/* SoundCloud Analyser - Charts (Plotly)
+   Handles:
+   - Scatter of any two metrics with log/linear axes, marker size and power-law trend lines
+   - Category distribution, metric histograms, top-N bars
+   - Release timeline and cumulative plays per dataset
+   - Snapshot history and per-dataset box plots
+   Builders take already filtered rows; app.js applies dataset toggles, search and artist filters.
+   Grouping: opts.groups = { of(row), color(group), label(group) }; defaults to the row's dataset.
+   Linking: opts.onSelect(rows | null) receives box/lasso selections, opts.isSelected(row) dims
+   the other points, opts.isHighlighted(row) rings a point picked in the table.
 */
 
-// You can add more chart builders here in the future, e.g.:
-// window.Charts = window.Charts || {};
-// window.Charts.buildEngagementBar = function(canvas, rows){ /* ... */ };
\ No newline at end of file
+(function () {
+  'use strict';
+
+  const CATEGORIES = ['Excellent', 'Good', 'Average', 'Poor'];
+
+  // Row metrics offered by the chart selects
+  const METRICS = {
+    plays: { label: 'Plays', format: ',.0f' },
+    likes: { label: 'Likes', format: ',.0f' },
+    reposts: { label: 'Reposts', format: ',.0f' },
+    comments: { label: 'Comments', format: ',.0f' },
+    play_like_ratio: { label: 'Play/Like', format: '.2f', log: true },
+    engagement_rate_pct: { label: 'Engagement %', format: '.2f', suffix: '%' },
+    like_pct: { label: 'Like %', format: '.2f', suffix: '%' },
+    plays_per_day: { label: 'Plays/Day', format: ',.2f', log: true },
+    days_since_upload: { label: 'Days since upload', format: ',.0f' },
+    growth_rate_pct: { label: 'Growth %/30d', format: '.2f', suffix: '%' },
+    age_performance_pct: { label: 'vs Expected %', format: '+.1f', suffix: '%' },
+  };
+
+  const BASE_LAYOUT = {
+    margin: { t: 50, b: 60, l: 60, r: 20 },
+    hovermode: 'closest',
+    paper_bgcolor: 'rgba(0,0,0,0)',
+    plot_bgcolor: 'rgba(0,0,0,0)'
+  };
+  const GRID = 'rgba(0,0,0,0.1)';
+
+  function metricInfo(key) {
+    return METRICS[key] || { label: key, format: '.2f' };
+  }
+
+  function layout(extra) {
+    return Object.assign({}, BASE_LAYOUT, extra);
+  }
+
+  function empty(div, message) {
+    Plotly.newPlot(div, [], layout({
+      annotations: [{ text: message, showarrow: false, font: { color: '#9aa7b2' } }],
+      xaxis: { visible: false },
+      yaxis: { visible: false }
+    }), { responsive: true, displayModeBar: false });
+    return null;
+  }
+
+  function defaultGroups() {
+    return {
+      of: r => r.datasetName,
+      color: () => null,
+      label: g => g,
+    };
+  }
+
+  // Split rows into [{ key, label, color, rows }] in first-seen order
+  function groupRows(rows, groupsIn) {
+    const groups = Object.assign(defaultGroups(), groupsIn || {});
+    const byKey = new Map();
+    for (const r of rows) {
+      const key = groups.of(r);
+      if (!byKey.has(key)) byKey.set(key, []);
+      byKey.get(key).push(r);
+    }
+    return [...byKey.entries()].map(([key, list]) => ({
+      key,
+      label: groups.label(key),
+      color: groups.color(key) || list[0].datasetColor || '#888',
+      rows: list
+    }));
+  }
+
+  // Route Plotly clicks back to the row behind the point. traceRows[curve][point] = row.
+  function onPointClick(div, traceRows, handler) {
+    if (!handler) return;
+    div.removeAllListeners?.('plotly_click');
+    div.on('plotly_click', (ev) => {
+      const p = ev.points[0];
+      const row = p && traceRows[p.curveNumber] && traceRows[p.curveNumber][p.pointIndex];
+      if (row) handler(row);
+    });
+  }
+
+  // Box/lasso selection back to rows. traceRows[curve][point] is a row, or an array of rows for
+  // aggregated marks (category bars); histogram bins report their rows via pointNumbers.
+  // Double-click (deselect) and empty selections report null.
+  function onSelection(div, traceRows, handler) {
+    if (!handler) return;
+    div.removeAllListeners?.('plotly_selected');
+    div.removeAllListeners?.('plotly_deselect');
+    div.on('plotly_selected', (ev) => {
+      const picked = [];
+      for (const p of (ev && ev.points) || []) {
+        const list = traceRows[p.curveNumber];
+        if (!list) continue;
+        const indices = p.pointNumbers || [p.pointIndex];
+        for (const i of indices) picked.push(...[].concat(list[i] || []));
+      }
+      handler(picked.length ? [...new Set(picked)] : null);
+    });
+    div.on('plotly_deselect', () => handler(null));
+  }
+
+  // Indices of selected rows for Plotly's selectedpoints; undefined shows every point normally
+  function selectedPoints(rows, opts) {
+    if (!opts.isSelected) return undefined;
+    return rows.reduce((acc, r, i) => (opts.isSelected(r) ? acc.concat(i) : acc), []);
+  }
+
+  // Open ring drawn over the highlighted row, if it is among the plotted rows
+  function highlightTrace(rows, opts, x, y) {
+    const row = opts.isHighlighted && rows.find(opts.isHighlighted);
+    if (!row) return null;
+    return {
+      x: [x(row)],
+      y: [y(row)],
+      mode: 'markers',
+      type: 'scatter',
+      name: 'Highlighted',
+      showlegend: false,
+      hoverinfo: 'skip',
+      marker: { size: 28, color: 'rgba(0,0,0,0)', line: { width: 3, color: '#ffd166' } }
+    };
+  }
+
+  // Mode bar for charts that take box/lasso selections
+  function selectConfig() {
+    return {
+      responsive: true,
+      displayModeBar: true,
+      displaylogo: false,
+      modeBarButtonsToRemove: ['pan2d', 'autoScale2d']
+    };
+  }
+
+  // Keep the drag mode the user picked (zoom, box, lasso) across re-renders
+  function dragmode(div, fallback) {
+    return (div.layout && div.layout.dragmode) || fallback;
+  }
+
+  function hoverData(rows, opts) {
+    return rows.map(r => ({
+      title: r.title,
+      likes: r.likes,
+      artist: opts.credits ? opts.credits(r) : (r.artist || ''),
+      dataset: r.datasetName,
+      type: r.content_type || ''
+    }));
+  }
+
+  // Marker sizes 8..25 scaled over the finite values (log scale when none are negative)
+  function markerSizes(rows, key) {
+    if (!key) return 9;
+    const vals = rows.map(r => r[key]).filter(Number.isFinite);
+    if (vals.length === 0) return 9;
+    const useLog = Math.min(...vals) >= 0;
+    const f = v => (useLog ? Math.log1p(v) : v);
+    const lo = f(Math.min(...vals));
+    const hi = f(Math.max(...vals));
+    return rows.map(r => {
+      const v = r[key];
+      if (!Number.isFinite(v)) return 6;
+      return hi > lo ? 8 + 17 * (f(v) - lo) / (hi - lo) : 12;
+    });
+  }
+
+  // Dashed power-law line for a Parser.logLogTrend() fit, sampled across [xMin, xMax]
+  function trendTrace(t, xMin, xMax) {
+    const steps = 40;
+    const lx0 = Math.log10(xMin);
+    const lx1 = Math.log10(xMax);
+    const x = [];
+    const y = [];
+    for (let i = 0; i <= steps; i++) {
+      const lx = lx0 + (lx1 - lx0) * i / steps;
+      x.push(Math.pow(10, lx));
+      y.push(Math.pow(10, t.fit.a + t.fit.b * lx));
+    }
+    const r2 = t.fit.r2 === null ? '–' : t.fit.r2.toFixed(2);
+    return {
+      x,
+      y,
+      mode: 'lines',
+      type: 'scatter',
+      name: `${t.name} fit: slope ${t.fit.b.toFixed(2)}, R² ${r2}`,
+      line: { color: t.color, dash: 'dash', width: 2 },
+      hoverinfo: 'name'
+    };
+  }
+
+  // Scatter of any two row metrics. opts: x, y, size (metric keys; size '' = fixed),
+  // xLog, yLog, trends: [{ name, color, fit }] drawn as power-law lines.
+  function buildScatter(div, rows, opts = {}) {
+    if (!rows || rows.length === 0) {
+      Plotly.newPlot(div, [], {});
+      return null;
+    }
+
+    const xKey = opts.x || 'plays';
+    const yKey = opts.y || 'like_pct';
+    const xInfo = metricInfo(xKey);
+    const yInfo = metricInfo(yKey);
+    const xLog = opts.xLog ?? true;
+    const yLog = !!opts.yLog;
+    // Log axes cannot show zero or negative values
+    const plotted = rows.filter(r =>
+      Number.isFinite(r[xKey]) && Number.isFinite(r[yKey]) &&
+      (!xLog || r[xKey] > 0) && (!yLog || r[yKey] > 0));
+    const groups = groupRows(plotted, opts.groups);
+
+    const traces = groups.map(g => ({
+      x: g.rows.map(r => r[xKey]),
+      y: g.rows.map(r => r[yKey]),
+      mode: 'markers',
+      type: 'scatter',
+      name: g.label,
+      marker: {
+        size: markerSizes(g.rows, opts.size ?? 'plays'),
+        color: g.color,
+        line: { width: 1, color: 'rgba(255,255,255,0.8)' }
+      },
+      selectedpoints: selectedPoints(g.rows, opts),
+      customdata: hoverData(g.rows, opts),
+      hovertemplate:
+        `<b>%{customdata.dataset}</b> · %{customdata.type}<br>` +
+        `<b>%{customdata.title}</b><br>` +
+        `%{customdata.artist}<br>` +
+        `${xInfo.label}: %{x:${xInfo.format}}${xInfo.suffix || ''}<br>` +
+        `${yInfo.label}: %{y:${yInfo.format}}${yInfo.suffix || ''}<br>` +
+        `<extra></extra>`
+    }));
+
+    // Each trend line spans the x range of the rows it was fitted on
+    for (const t of opts.trends || []) {
+      if (!t.fit) continue;
+      const xs = t.fit.residuals.map(e => e.row[xKey]);
+      const xMin = Math.min(...xs);
+      const xMax = Math.max(...xs);
+      if (xMax > xMin) traces.push(trendTrace(t, xMin, xMax));
+    }
+    const ring = highlightTrace(plotted, opts, r => r[xKey], r => r[yKey]);
+    if (ring) traces.push(ring);
+
+    const yaxis = {
+      title: { text: yInfo.label, font: { size: 14 } },
+      type: yLog ? 'log' : 'linear',
+      autorange: true,
+      gridcolor: GRID,
+      showgrid: true
+    };
+    // Keep the familiar 0-100 frame for percentages on a linear axis
+    if (!yLog && yKey === 'like_pct') {
+      const maxY = Math.max(0, ...plotted.map(r => r[yKey]));
+      yaxis.autorange = false;
+      yaxis.range = [0, Math.max(100, maxY * 1.1)];
+    }
+
+    Plotly.newPlot(div, traces, layout({
+      title: {
+        text: `${xInfo.label} vs ${yInfo.label}`,
+        font: { size: 16, weight: 600 }
+      },
+      xaxis: {
+        title: { text: xInfo.label, font: { size: 14 } },
+        type: xLog ? 'log' : 'linear',
+        autorange: true,
+        gridcolor: GRID,
+        showgrid: true
+      },
+      yaxis,
+      margin: { t: 50, b: 80, l: 60, r: 20 },
+      dragmode: dragmode(div, 'zoom'),
+      showlegend: true
+    }), selectConfig());
+
+    onPointClick(div, groups.map(g => g.rows), opts.onPointClick);
+    onSelection(div, groups.map(g => g.rows), opts.onSelect);
+    return traces;
+  }
+
+  // Tracks per category, one bar per group
+  function buildCategoryBars(div, rows, opts = {}) {
+    if (!rows || rows.length === 0) return empty(div, 'No tracks');
+    const groups = groupRows(rows, opts.groups);
+    const traces = groups.map(g => ({
+      x: CATEGORIES,
+      y: CATEGORIES.map(c => g.rows.filter(r => r.category === c).length),
+      type: 'bar',
+      name: g.label,
+      marker: { color: g.color },
+      hovertemplate: `${g.label}<br>%{x}: %{y} tracks<extra></extra>`
+    }));
+    Plotly.newPlot(div, traces, layout({
+      title: { text: 'Category distribution', font: { size: 14 } },
+      barmode: 'group',
+      xaxis: { categoryorder: 'array', categoryarray: CATEGORIES },
+      yaxis: { title: { text: 'Tracks' }, gridcolor: GRID, rangemode: 'tozero' },
+      dragmode: dragmode(div, 'select'),
+      showlegend: groups.length > 1
+    }), selectConfig());
+    onSelection(div, groups.map(g => CATEGORIES.map(c => g.rows.filter(r => r.category === c))), opts.onSelect);
+    return traces;
+  }
+
+  // Overlaid histograms of one metric per group. Skewed metrics (PLR, plays/day) bin on log10.
+  function buildHistogram(div, rows, key, opts = {}) {
+    const info = metricInfo(key);
+    const log = opts.log ?? !!info.log;
+    const valid = (rows || []).filter(r => Number.isFinite(r[key]) && (!log || r[key] > 0));
+    if (valid.length === 0) return empty(div, 'No values for ' + info.label);
+    const groups = groupRows(valid, opts.groups);
+    const traces = groups.map(g => ({
+      x: g.rows.map(r => (log ? Math.log10(r[key]) : r[key])),
+      type: 'histogram',
+      name: g.label,
+      opacity: groups.length > 1 ? 0.6 : 0.9,
+      marker: { color: g.color },
+      hovertemplate: `${g.label}<br>%{y} tracks<extra></extra>`
+    }));
+    const xaxis = { title: { text: info.label + (log ? ' (log scale)' : '') }, gridcolor: GRID };
+    if (log) {
+      const exps = valid.map(r => Math.log10(r[key]));
+      const lo = Math.floor(Math.min(...exps));
+      const hi = Math.ceil(Math.max(...exps));
+      xaxis.tickvals = [];
+      xaxis.ticktext = [];
+      for (let e = lo; e <= hi; e++) {
+        xaxis.tickvals.push(e);
+        xaxis.ticktext.push(Math.pow(10, e).toLocaleString());
+      }
+    } else if (info.suffix) {
+      xaxis.ticksuffix = info.suffix;
+    }
+    Plotly.newPlot(div, traces, layout({
+      title: { text: info.label + ' distribution', font: { size: 14 } },
+      barmode: 'overlay',
+      xaxis,
+      yaxis: { title: { text: 'Tracks' }, gridcolor: GRID },
+      dragmode: dragmode(div, 'select'),
+      showlegend: groups.length > 1
+    }), selectConfig());
+    onSelection(div, groups.map(g => g.rows), opts.onSelect);
+    return traces;
+  }
+
+  // Horizontal bars for the top N rows by a metric, coloured by group
+  function buildTopN(div, rows, key, n = 10, opts = {}) {
+    const info = metricInfo(key);
+    const top = (rows || [])
+      .filter(r => Number.isFinite(r[key]))
+      .sort((a, b) => b[key] - a[key])
+      .slice(0, n);
+    if (top.length === 0) return empty(div, 'No values for ' + info.label);
+    const groups = Object.assign(defaultGroups(), opts.groups || {});
+    // Rank-prefixed labels keep same-titled tracks from different datasets apart
+    const labels = top.map((r, i) => `${i + 1}. ${truncate(r.title, 40)}`);
+    const trace = {
+      x: top.map(r => r[key]),
+      y: labels,
+      type: 'bar',
+      orientation: 'h',
+      marker: { color: top.map(r => groups.color(groups.of(r)) || r.datasetColor || '#888') },
+      selectedpoints: selectedPoints(top, opts),
+      customdata: top.map(r => [r.datasetName, r.title]),
+      hovertemplate: `<b>%{customdata[1]}</b><br>%{customdata[0]}<br>${info.label}: %{x:${info.format}}${info.suffix || ''}<extra></extra>`
+    };
+    Plotly.newPlot(div, [trace], layout({
+      title: { text: `Top ${top.length} by ${info.label}`, font: { size: 14 } },
+      xaxis: { title: { text: info.label }, gridcolor: GRID, ticksuffix: info.suffix || '' },
+      yaxis: { autorange: 'reversed', automargin: true },
+      margin: { t: 50, b: 60, l: 20, r: 20 },
+      dragmode: dragmode(div, 'select'),
+      showlegend: false
+    }), selectConfig());
+    onPointClick(div, [top], opts.onPointClick);
+    onSelection(div, [top], opts.onSelect);
+    return [trace];
+  }
+
+  // Plays against upload date. Approximate dates ("3 months ago") use open markers.
+  function buildTimeline(div, rows, opts = {}) {
+    const dated = (rows || []).filter(r => r.posted_iso && Number.isFinite(r.plays));
+    if (dated.length === 0) return empty(div, 'No dated tracks');
+    const groups = groupRows(dated, opts.groups);
+    const traces = groups.map(g => ({
+      x: g.rows.map(r => r.posted_iso),
+      y: g.rows.map(r => Math.max(r.plays, 1)),
+      mode: 'markers',
+      type: 'scatter',
+      name: g.label,
+      marker: {
+        size: 9,
+        color: g.color,
+        symbol: g.rows.map(r => (r.date_precision && r.date_precision !== 'day' ? 'circle-open' : 'circle'))
+      },
+      selectedpoints: selectedPoints(g.rows, opts),
+      customdata: g.rows.map(r => [r.title, r.plays, r.date_precision || 'day']),
+      hovertemplate: `<b>%{customdata[0]}</b><br>%{x} (%{customdata[2]})<br>Plays: %{customdata[1]:,.0f}<extra>${g.label}</extra>`
+    }));
+    const ring = highlightTrace(dated, opts, r => r.posted_iso, r => Math.max(r.plays, 1));
+    if (ring) traces.push(ring);
+    Plotly.newPlot(div, traces, layout({
+      title: { text: 'Release timeline', font: { size: 14 } },
+      xaxis: { title: { text: 'Posted' }, type: 'date', gridcolor: GRID },
+      yaxis: { title: { text: 'Plays' }, type: 'log', gridcolor: GRID },
+      dragmode: dragmode(div, 'zoom'),
+      showlegend: groups.length > 1
+    }), selectConfig());
+    onPointClick(div, groups.map(g => g.rows), opts.onPointClick);
+    onSelection(div, groups.map(g => g.rows), opts.onSelect);
+    return traces;
+  }
+
+  // Running total of plays by upload date, one step line per group
+  function buildCumulative(div, rows, opts = {}) {
+    const dated = (rows || []).filter(r => r.posted_iso && Number.isFinite(r.plays));
+    if (dated.length === 0) return empty(div, 'No dated tracks');
+    const groups = groupRows(dated, opts.groups);
+    const traces = groups.map(g => {
+      const sorted = g.rows.slice().sort((a, b) => a.posted_iso.localeCompare(b.posted_iso));
+      let sum = 0;
+      const y = sorted.map(r => (sum += r.plays));
+      return {
+        x: sorted.map(r => r.posted_iso),
+        y,
+        mode: 'lines+markers',
+        type: 'scatter',
+        line: { shape: 'hv', color: g.color },
+        marker: { size: 5, color: g.color },
+        name: g.label,
+        customdata: sorted.map(r => r.title),
+        hovertemplate: `%{x}<br>%{customdata}<br>Total: %{y:,.0f}<extra>${g.label}</extra>`
+      };
+    });
+    Plotly.newPlot(div, traces, layout({
+      title: { text: 'Cumulative plays by upload date', font: { size: 14 } },
+      xaxis: { title: { text: 'Posted' }, type: 'date', gridcolor: GRID },
+      yaxis: { title: { text: 'Plays' }, rangemode: 'tozero', gridcolor: GRID },
+      showlegend: groups.length > 1
+    }), { responsive: true, displayModeBar: false });
+    return traces;
+  }
+
+  // Time series of one matched track across snapshots (plays on y, likes on y2)
+  function buildHistory(div, track) {
+    if (!track || track.points.length < 2) return empty(div, 'No snapshot history selected');
+    const dates = track.points.map(p => p.date);
+    const line = (name, key, color, yaxis) => ({
+      x: dates,
+      y: track.points.map(p => p[key]),
+      mode: 'lines+markers',
+      type: 'scatter',
+      name,
+      yaxis,
+      line: { color },
+      customdata: track.points.map(p => p.datasetName),
+      hovertemplate: `%{customdata}<br>%{x}<br>${name}: %{y:,.0f}<extra></extra>`
+    });
+    const traces = [
+      line('Plays', 'plays', '#7bd88f', 'y'),
+      line('Likes', 'likes', '#5cc8ff', 'y2'),
+      line('Reposts', 'reposts', '#f3c969', 'y2'),
+      line('Comments', 'comments', '#e0aaff', 'y2'),
+    ];
+    Plotly.newPlot(div, traces, layout({
+      title: { text: track.title, font: { size: 14 } },
+      xaxis: { title: { text: 'Snapshot date' }, type: 'date', gridcolor: GRID },
+      yaxis: { title: { text: 'Plays' }, rangemode: 'tozero', gridcolor: GRID },
+      yaxis2: { title: { text: 'Likes / Reposts / Comments' }, overlaying: 'y', side: 'right', rangemode: 'tozero' },
+      margin: { t: 50, b: 60, l: 60, r: 60 },
+      showlegend: true
+    }), { responsive: true, displayModeBar: false });
+    return traces;
+  }
+
+  // One box per group (dataset) of a row metric
+  function buildBox(div, groups, key, opts = {}) {
+    const traces = groups.map(g => ({
+      y: g.rows.map(r => r[key]).filter(v => Number.isFinite(v) && (!opts.log || v > 0)),
+      type: 'box',
+      name: g.name,
+      boxpoints: 'outliers',
+      marker: { color: g.color },
+      line: { color: g.color },
+      hovertemplate: `%{y:.2f}${opts.suffix || ''}<extra>${g.name}</extra>`
+    }));
+    Plotly.newPlot(div, traces, layout({
+      title: { text: opts.title || key, font: { size: 14 } },
+      yaxis: { type: opts.log ? 'log' : 'linear', gridcolor: GRID, ticksuffix: opts.suffix || '' },
+      showlegend: false
+    }), { responsive: true, displayModeBar: false });
+    return traces;
+  }
+
+  // Static PNG (data URL) of a chart for printing: build(div) draws into an offscreen div,
+  // which is recoloured for white paper, captured and removed
+  async function toImage(build, width = 800, height = 420) {
+    const div = document.createElement('div');
+    div.style.cssText = `position:fixed; left:-10000px; top:0; width:${width}px; height:${height}px`;
+    document.body.appendChild(div);
+    try {
+      build(div);
+      await Plotly.relayout(div, {
+        paper_bgcolor: '#ffffff',
+        plot_bgcolor: '#ffffff',
+        'font.color': '#111111',
+        dragmode: false
+      });
+      return await Plotly.toImage(div, { format: 'png', width, height, scale: 2 });
+    } finally {
+      Plotly.purge(div);
+      div.remove();
+    }
+  }
+
+  function truncate(s, n) {
+    const str = String(s || '');
+    return str.length > n ? str.slice(0, n - 1) + '…' : str;
+  }
+
+  // Expose API
+  window.Charts = {
+    METRICS,
+    buildScatter,
+    buildCategoryBars,
+    buildHistogram,
+    buildTopN,
+    buildTimeline,
+    buildCumulative,
+    buildHistory,
+    buildBox,
+    toImage,
+  };
+})();
@@ -0,0 +1,129 @@
+/* SoundCloud Analyser - Artist comparison
+   Handles:
+   - Per-dataset summaries side by side (totals, medians, cadence, category mix, top track)
+   - Ranking datasets on each metric (1 = best) plus an average rank
+   - Repost summaries: what each page reposts and how it performs against its uploads
+*/
+
+(function () {
+  'use strict';
+
+  const CATEGORIES = ['Excellent', 'Good', 'Average', 'Poor'];
+  const DAYS_PER_MONTH = 30.44;
+
+  // Metrics shown in the comparison, with ranking direction
+  const METRICS = [
+    { key: 'tracks', label: 'Tracks', higherIsBetter: true, format: 'int' },
+    { key: 'plays', label: 'Total plays', higherIsBetter: true, format: 'int' },
+    { key: 'likes', label: 'Total likes', higherIsBetter: true, format: 'int' },
+    { key: 'reposts', label: 'Total reposts', higherIsBetter: true, format: 'int' },
+    { key: 'comments', label: 'Total comments', higherIsBetter: true, format: 'int' },
+    { key: 'medianPLR', label: 'Median Play/Like', higherIsBetter: false, format: 'num2' },
+    { key: 'avgEngagement', label: 'Avg Engagement %', higherIsBetter: true, format: 'pct2' },
+    { key: 'medianLikePct', label: 'Median Like %', higherIsBetter: true, format: 'pct2' },
+    { key: 'medianPlaysPerDay', label: 'Median Plays/Day', higherIsBetter: true, format: 'num2' },
+    { key: 'cadence', label: 'Releases / month', higherIsBetter: true, format: 'num2' },
+    { key: 'share_Excellent', label: 'Excellent share', higherIsBetter: true, format: 'pct2' },
+    { key: 'share_Good', label: 'Good share', higherIsBetter: true, format: 'pct2' },
+    { key: 'share_Average', label: 'Average share', higherIsBetter: null, format: 'pct2' },
+    { key: 'share_Poor', label: 'Poor share', higherIsBetter: false, format: 'pct2' },
+  ];
+
+  // Tracks per month over the span between the oldest and newest dated upload
+  function releaseCadence(rows) {
+    const days = rows.map(r => r.days_since_upload).filter(Number.isFinite);
+    if (days.length === 0) return null;
+    const spanMonths = Math.max(1, (Math.max(...days) - Math.min(...days)) / DAYS_PER_MONTH);
+    return days.length / spanMonths;
+  }
+
+  function summarize(ds) {
+    const rows = Parser.countedRows(ds.data.rows, ds.options);
+    const out = {
+      name: ds.name,
+      color: ds.color,
+      tracks: rows.length,
+      plays: ds.data.totals.plays,
+      likes: ds.data.totals.likes,
+      reposts: ds.data.totals.reposts,
+      comments: ds.data.totals.comments,
+      medianPLR: ds.data.medianPLR,
+      avgEngagement: ds.data.avgEngagement,
+      medianLikePct: Parser.median(rows.map(r => r.like_pct)),
+      medianPlaysPerDay: Parser.median(rows.map(r => r.plays_per_day)),
+      cadence: releaseCadence(rows),
+      topTrack: rows.reduce((best, r) => (!best || r.plays > best.plays ? r : best), null),
+      rows,
+    };
+    for (const cat of CATEGORIES) {
+      const n = rows.filter(r => r.category === cat).length;
+      out['share_' + cat] = rows.length ? (n / rows.length) * 100 : null;
+    }
+    return out;
+  }
+
+  // What a page reposts and how those tracks do next to its own uploads:
+  // { name, color, reposts, uploads, share, repostMedians, uploadMedians, artists: [{ name, count, plays }], rows }
+  function summarizeReposts(ds) {
+    const reposts = ds.data.rows.filter(r => r.row_type === 'repost');
+    const uploads = ds.data.rows.filter(r => r.row_type !== 'repost');
+    const medians = rows => ({
+      plays: Parser.median(rows.map(r => r.plays)),
+      likePct: Parser.median(rows.map(r => r.like_pct)),
+      engagement: Parser.median(rows.map(r => r.engagement_rate_pct)),
+    });
+    const byArtist = new Map();
+    for (const r of reposts) {
+      const name = r.artist || 'Unknown';
+      const entry = byArtist.get(name.toLowerCase()) || { name, count: 0, plays: 0 };
+      entry.count++;
+      entry.plays += r.plays || 0;
+      byArtist.set(name.toLowerCase(), entry);
+    }
+    const total = reposts.length + uploads.length;
+    return {
+      name: ds.name,
+      color: ds.color,
+      reposts: reposts.length,
+      uploads: uploads.length,
+      share: total ? (reposts.length / total) * 100 : null,
+      repostMedians: medians(reposts),
+      uploadMedians: medians(uploads),
+      artists: [...byArtist.values()].sort((a, b) => b.count - a.count || b.plays - a.plays),
+      rows: reposts,
+    };
+  }
+
+  // Rank summaries per metric (1 = best, ties share a rank). Adds summary.ranks[key]
+  // and summary.avgRank over the ranked metrics.
+  function rank(summaries) {
+    for (const s of summaries) s.ranks = {};
+    for (const m of METRICS) {
+      if (m.higherIsBetter === null) continue;
+      const valued = summaries.filter(s => Number.isFinite(s[m.key]));
+      const sorted = valued.slice().sort((a, b) => (m.higherIsBetter ? b[m.key] - a[m.key] : a[m.key] - b[m.key]));
+      sorted.forEach((s, i) => {
+        const prev = sorted[i - 1];
+        s.ranks[m.key] = prev && prev[m.key] === s[m.key] ? prev.ranks[m.key] : i + 1;
+      });
+    }
+    for (const s of summaries) {
+      const ranks = Object.values(s.ranks);
+      s.avgRank = ranks.length ? ranks.reduce((a, b) => a + b, 0) / ranks.length : null;
+    }
+    return summaries;
+  }
+
+  function compareDatasets(datasets) {
+    return rank(datasets.map(summarize));
+  }
+
+  // Expose API
+  window.Compare = {
+    METRICS,
+    CATEGORIES,
+    summarize,
+    summarizeReposts,
+    compareDatasets,
+  };
+})();
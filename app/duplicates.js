@@ -0,0 +1,104 @@
+/* SoundCloud Analyser - Cross-dataset duplicates
+   Handles:
+   - Detecting the same release on several loaded artist pages (e.g. a collab on OKTA and SAHEL)
+   - Matching by normalized title (fuzzy) plus close plays/likes
+   - Picking one canonical row per shared track for de-duplicated totals and exports
+   Snapshots of the same artist (same Snapshots.seriesKey) are history, not duplicates.
+*/
+
+(function () {
+  'use strict';
+
+  const TITLE_THRESHOLD = 0.85;
+  // Stats may be captured days apart, so allow some drift between pages
+  const STAT_TOLERANCE = 0.15;
+
+  function close(a, b) {
+    if (!Number.isFinite(a) || !Number.isFinite(b)) return false;
+    const hi = Math.max(a, b);
+    if (hi === 0) return true;
+    return Math.abs(a - b) / hi <= STAT_TOLERANCE;
+  }
+
+  // Cheap stat checks first: the title similarity only runs on pairs with close plays/likes
+  function sameTrack(a, b) {
+    if (!close(a.plays, b.plays) || !close(a.likes, b.likes)) return false;
+    return Parser.titleSimilarity(a.title, b.title) >= TITLE_THRESHOLD;
+  }
+
+  function resetRow(row) {
+    row.duplicate_group = null;
+    row.duplicate_count = 0;
+    row.duplicate_canonical = false;
+  }
+
+  // Find shared tracks across datasets of different artists. Annotates rows in place:
+  // duplicate_group (id), duplicate_count (pages it appears on) and duplicate_canonical
+  // (the member with most plays). Returns [{ id, title, members: [{ datasetName, row }] }],
+  // at most one member per dataset: a track repeated within one page is not a shared copy.
+  function findSharedTracks(datasets) {
+    datasets.forEach(ds => ds.data.rows.forEach(resetRow));
+    const groups = [];
+    for (let i = 0; i < datasets.length; i++) {
+      const a = datasets[i];
+      for (let j = i + 1; j < datasets.length; j++) {
+        const b = datasets[j];
+        if (Snapshots.seriesKey(a.name) === Snapshots.seriesKey(b.name)) continue;
+        for (const ra of a.data.rows) {
+          const rb = b.data.rows.find(r => sameTrack(ra, r));
+          if (rb) link(groups, { datasetName: a.name, row: ra }, { datasetName: b.name, row: rb });
+        }
+      }
+    }
+    groups.forEach((g, idx) => {
+      g.id = 'dup-' + idx;
+      const canonical = g.members.reduce((best, m) => (m.row.plays > best.row.plays ? m : best), g.members[0]);
+      for (const m of g.members) {
+        m.row.duplicate_group = g.id;
+        m.row.duplicate_canonical = m === canonical;
+      }
+      const pages = new Set(g.members.map(m => m.datasetName)).size;
+      for (const m of g.members) m.row.duplicate_count = pages;
+      g.title = canonical.row.title;
+    });
+    return groups;
+  }
+
+  // Merge a matched pair into an existing group when either row is already grouped. A
+  // group keeps its first row from each dataset; later rows from that dataset stay out.
+  function link(groups, ma, mb) {
+    const ga = groups.find(g => g.members.some(m => m.row === ma.row));
+    const gb = groups.find(g => g.members.some(m => m.row === mb.row));
+    const hasPage = (g, m) => g.members.some(x => x.datasetName === m.datasetName);
+    if (ga && gb) {
+      if (ga !== gb && !gb.members.some(m => hasPage(ga, m))) {
+        ga.members.push(...gb.members);
+        groups.splice(groups.indexOf(gb), 1);
+      }
+    } else if (ga) {
+      if (!hasPage(ga, mb)) ga.members.push(mb);
+    } else if (gb) {
+      if (!hasPage(gb, ma)) gb.members.push(ma);
+    } else {
+      groups.push({ members: [ma, mb] });
+    }
+  }
+
+  // Keep one row per shared track among the given rows: the one with most plays.
+  // Rows whose other copies are not in the list are kept as-is.
+  function dedupeRows(rows) {
+    const best = new Map();
+    for (const r of rows) {
+      if (!r.duplicate_group) continue;
+      const cur = best.get(r.duplicate_group);
+      if (!cur || r.plays > cur.plays) best.set(r.duplicate_group, r);
+    }
+    return rows.filter(r => !r.duplicate_group || best.get(r.duplicate_group) === r);
+  }
+
+  // Expose API
+  window.Duplicates = {
+    findSharedTracks,
+    dedupeRows,
+  };
+})();
@@ -0,0 +1,315 @@
+/* SoundCloud Analyser - Export
+   Handles:
+   - Export column definitions (dataset and credits included, so merged rows stay identifiable)
+   - CSV with optional locale number formatting (";" separated when the locale uses decimal commas)
+   - Summary lines per dataset: totals, medians, category thresholds and category counts
+   - XLSX workbooks written directly (SpreadsheetML in an uncompressed zip), no library needed
+*/
+
+(function () {
+  'use strict';
+
+  // type: text | int | num (two decimals). Values come straight from processed rows.
+  const COLUMNS = [
+    { key: 'dataset', header: 'DATASET', type: 'text', get: r => r.datasetName },
+    { key: 'title', header: 'TRACK', type: 'text', get: r => r.title },
+    { key: 'artists', header: 'ARTISTS', type: 'text', get: r => (r.artists || []).join('; ') },
+    { key: 'featured', header: 'FEATURED', type: 'text', get: r => (r.featured || []).join('; ') },
+    { key: 'remixers', header: 'REMIXERS', type: 'text', get: r => (r.remixers || []).join('; ') },
+    { key: 'posted_iso', header: 'POSTED_ISO', type: 'text' },
+    { key: 'date_precision', header: 'DATE_PRECISION', type: 'text' },
+    { key: 'days_since_upload', header: 'DAYS', type: 'int' },
+    { key: 'days_min', header: 'DAYS_MIN', type: 'int' },
+    { key: 'days_max', header: 'DAYS_MAX', type: 'int' },
+    { key: 'plays', header: 'PLAYS', type: 'int' },
+    { key: 'likes', header: 'LIKES', type: 'int' },
+    { key: 'reposts', header: 'REPOSTS', type: 'int' },
+    { key: 'comments', header: 'COMMENTS', type: 'int' },
+    { key: 'play_like_ratio', header: 'PLAY_LIKE_RATIO', type: 'num' },
+    { key: 'engagement_rate_pct', header: 'ENGAGEMENT_RATE_PCT', type: 'num' },
+    { key: 'like_pct', header: 'LIKE_PCT', type: 'num' },
+    { key: 'plays_per_day', header: 'PLAYS_PER_DAY', type: 'num' },
+    { key: 'plays_per_day_min', header: 'PLAYS_PER_DAY_MIN', type: 'num' },
+    { key: 'plays_per_day_max', header: 'PLAYS_PER_DAY_MAX', type: 'num' },
+    { key: 'content_type', header: 'CONTENT_TYPE', type: 'text' },
+    { key: 'row_type', header: 'ROW_TYPE', type: 'text' },
+    { key: 'category', header: 'CATEGORY', type: 'text' },
+    { key: 'composite_score', header: 'COMPOSITE_SCORE', type: 'num' },
+    { key: 'plays_delta', header: 'PLAYS_DELTA', type: 'int' },
+    { key: 'likes_delta', header: 'LIKES_DELTA', type: 'int' },
+    { key: 'reposts_delta', header: 'REPOSTS_DELTA', type: 'int' },
+    { key: 'comments_delta', header: 'COMMENTS_DELTA', type: 'int' },
+    { key: 'growth_rate_pct', header: 'GROWTH_RATE_PCT', type: 'num' },
+    { key: 'expected_plays', header: 'EXPECTED_PLAYS', type: 'num' },
+    { key: 'expected_likes', header: 'EXPECTED_LIKES', type: 'num' },
+    { key: 'age_performance_pct', header: 'AGE_PERFORMANCE_PCT', type: 'num' },
+    { key: 'quality_flags', header: 'QUALITY_FLAGS', type: 'text', get: r => Filters.rowFlags(r).filter(f => f !== 'any').join('; ') },
+    { key: 'url', header: 'URL', type: 'text' },
+  ];
+
+  const SUMMARY_COLUMNS = [
+    { key: 'dataset', header: 'DATASET', type: 'text' },
+    { key: 'tracks', header: 'TRACKS', type: 'int' },
+    { key: 'plays', header: 'PLAYS', type: 'int' },
+    { key: 'likes', header: 'LIKES', type: 'int' },
+    { key: 'reposts', header: 'REPOSTS', type: 'int' },
+    { key: 'comments', header: 'COMMENTS', type: 'int' },
+    { key: 'avg_engagement_pct', header: 'AVG_ENGAGEMENT_PCT', type: 'num' },
+    { key: 'median_plr', header: 'MEDIAN_PLAY_LIKE_RATIO', type: 'num' },
+    { key: 'median_plays', header: 'MEDIAN_PLAYS', type: 'num' },
+    { key: 'category_mode', header: 'CATEGORY_MODE', type: 'text' },
+    { key: 'category_metric', header: 'CATEGORY_METRIC', type: 'text' },
+    { key: 'q1', header: 'THRESHOLD_Q1', type: 'num' },
+    { key: 'q2', header: 'THRESHOLD_Q2', type: 'num' },
+    { key: 'q3', header: 'THRESHOLD_Q3', type: 'num' },
+    ...Compare.CATEGORIES.map(c => ({ key: c.toLowerCase(), header: c.toUpperCase(), type: 'int' })),
+  ];
+
+  function cellValue(row, col) {
+    const v = col.get ? col.get(row) : row[col.key];
+    if (col.type === 'text') return v === null || v === undefined ? '' : String(v);
+    return Number.isFinite(v) ? v : null;
+  }
+
+  // One summary line for a group of rows; thresholds as returned by Parser.processDataRows
+  // (omitted for groups spanning several datasets, whose cut points differ)
+  function summarize(name, rows, thresholds) {
+    const sum = key => rows.reduce((acc, r) => acc + (Number.isFinite(r[key]) ? r[key] : 0), 0);
+    const eng = rows.map(r => r.engagement_rate_pct).filter(Number.isFinite);
+    const line = {
+      dataset: name,
+      tracks: rows.length,
+      plays: sum('plays'),
+      likes: sum('likes'),
+      reposts: sum('reposts'),
+      comments: sum('comments'),
+      avg_engagement_pct: eng.length ? eng.reduce((a, b) => a + b, 0) / eng.length : null,
+      median_plr: Parser.median(rows.map(r => r.play_like_ratio)),
+      median_plays: Parser.median(rows.map(r => r.plays)),
+      category_mode: thresholds?.mode || '',
+      category_metric: thresholds?.metric || '',
+      q1: thresholds?.Q1 ?? null,
+      q2: thresholds?.Q2 ?? null,
+      q3: thresholds?.Q3 ?? null,
+    };
+    for (const c of Compare.CATEGORIES) line[c.toLowerCase()] = rows.filter(r => r.category === c).length;
+    return line;
+  }
+
+  // ---------- CSV ----------
+  // locale: null for plain numbers (1234.5), else a BCP 47 tag such as "de-DE" (1234,50)
+  function numberFormatter(locale) {
+    if (!locale) {
+      return (v, col) => (col.type === 'int' ? String(Math.round(v)) : (Math.round(v * 100) / 100).toFixed(2));
+    }
+    const int = new Intl.NumberFormat(locale, { useGrouping: false, maximumFractionDigits: 0 });
+    const num = new Intl.NumberFormat(locale, { useGrouping: false, minimumFractionDigits: 2, maximumFractionDigits: 2 });
+    return (v, col) => (col.type === 'int' ? int : num).format(v);
+  }
+
+  // Spreadsheets in decimal-comma locales expect ";" between fields
+  function delimiterFor(locale) {
+    if (!locale) return ',';
+    const decimal = new Intl.NumberFormat(locale).formatToParts(1.5).find(p => p.type === 'decimal');
+    return decimal && decimal.value === ',' ? ';' : ',';
+  }
+
+  function escapeCSV(s, delimiter) {
+    const str = String(s ?? '');
+    if (str.includes(delimiter) || /["\n\r]/.test(str)) return '"' + str.replace(/"/g, '""') + '"';
+    return str;
+  }
+
+  function toCSV(rows, columns, locale) {
+    const delimiter = delimiterFor(locale);
+    const format = numberFormatter(locale);
+    const lines = [columns.map(c => c.header).join(delimiter)];
+    for (const row of rows) {
+      lines.push(columns.map(col => {
+        const v = cellValue(row, col);
+        if (col.type === 'text') return escapeCSV(v, delimiter);
+        return v === null ? '' : format(v, col);
+      }).join(delimiter));
+    }
+    return lines.join('\n');
+  }
+
+  // JSON keeps raw numbers (null for missing/infinite) keyed by column key
+  function toRecords(rows, columns) {
+    return rows.map(row => {
+      const out = {};
+      for (const col of columns) out[col.key] = cellValue(row, col);
+      return out;
+    });
+  }
+
+  // ---------- XLSX ----------
+  function xmlEscape(s) {
+    return String(s)
+      .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;')
+      // Control characters are not allowed in XML
+      .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+  }
+
+  function columnLetter(index) {
+    let s = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) s = String.fromCharCode(65 + ((n - 1) % 26)) + s;
+    return s;
+  }
+
+  // Excel limits: 31 characters, no []:*?/\, unique within the workbook
+  function sheetNames(names) {
+    const used = new Set();
+    return names.map(name => {
+      const base = String(name || 'Sheet').replace(/[[\]:*?/\\]/g, ' ').replace(/\s+/g, ' ').trim().slice(0, 31) || 'Sheet';
+      let candidate = base;
+      for (let i = 2; used.has(candidate.toLowerCase()); i++) candidate = base.slice(0, 31 - String(i).length - 1) + ' ' + i;
+      used.add(candidate.toLowerCase());
+      return candidate;
+    });
+  }
+
+  // Style ids from STYLES_XML: 1 bold header, 2 integer, 3 two decimals
+  const STYLE = { header: 1, int: 2, num: 3 };
+  const STYLES_XML = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    '<numFmts count="1"><numFmt numFmtId="164" formatCode="#,##0.00"/></numFmts>' +
+    '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+    '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+    '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+    '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+    '<cellXfs count="4"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+    '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+    '<xf numFmtId="3" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+    '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/></cellXfs>' +
+    '</styleSheet>';
+
+  function sheetXml(columns, rows) {
+    const out = ['<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+      '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">',
+      '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>',
+      '<sheetData>'];
+    const textCell = (ref, v, style) => `<c r="${ref}" t="inlineStr"${style ? ` s="${style}"` : ''}><is><t xml:space="preserve">${xmlEscape(v)}</t></is></c>`;
+    out.push('<row r="1">' + columns.map((c, i) => textCell(columnLetter(i) + '1', c.header, STYLE.header)).join('') + '</row>');
+    rows.forEach((row, r) => {
+      const n = r + 2;
+      const cells = columns.map((col, i) => {
+        const ref = columnLetter(i) + n;
+        const v = cellValue(row, col);
+        if (col.type === 'text') return v === '' ? '' : textCell(ref, v);
+        return v === null ? '' : `<c r="${ref}" s="${STYLE[col.type]}"><v>${v}</v></c>`;
+      });
+      out.push(`<row r="${n}">${cells.join('')}</row>`);
+    });
+    out.push('</sheetData></worksheet>');
+    return out.join('');
+  }
+
+  // sheets: [{ name, columns, rows }] -> Uint8Array holding an .xlsx file
+  function toXLSX(sheets) {
+    const names = sheetNames(sheets.map(s => s.name));
+    const files = [];
+    const add = (path, xml) => files.push({ path, data: new TextEncoder().encode(xml) });
+    const xmlHead = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>';
+    add('[Content_Types].xml', xmlHead +
+      '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+      '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+      '<Default Extension="xml" ContentType="application/xml"/>' +
+      '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+      '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+      sheets.map((s, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('') +
+      '</Types>');
+    add('_rels/.rels', xmlHead +
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+      '</Relationships>');
+    add('xl/workbook.xml', xmlHead +
+      '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets>' +
+      names.map((name, i) => `<sheet name="${xmlEscape(name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('') +
+      '</sheets></workbook>');
+    add('xl/_rels/workbook.xml.rels', xmlHead +
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      sheets.map((s, i) => `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('') +
+      `<Relationship Id="rId${sheets.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>` +
+      '</Relationships>');
+    add('xl/styles.xml', STYLES_XML);
+    sheets.forEach((s, i) => add(`xl/worksheets/sheet${i + 1}.xml`, sheetXml(s.columns, s.rows)));
+    return zipStore(files);
+  }
+
+  // ---------- Zip (stored, no compression) ----------
+  let crcTable = null;
+
+  function crc32(data) {
+    if (!crcTable) {
+      crcTable = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        crcTable[n] = c >>> 0;
+      }
+    }
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < data.length; i++) crc = crcTable[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+  }
+
+  function zipStore(files) {
+    const encoder = new TextEncoder();
+    const local = [];
+    const central = [];
+    let offset = 0;
+    for (const file of files) {
+      const name = encoder.encode(file.path);
+      const crc = crc32(file.data);
+      const header = new DataView(new ArrayBuffer(30));
+      header.setUint32(0, 0x04034b50, true);
+      header.setUint16(4, 20, true); // version needed
+      header.setUint16(8, 0, true); // method: stored
+      header.setUint16(12, 0x21, true); // date: 1980-01-01
+      header.setUint32(14, crc, true);
+      header.setUint32(18, file.data.length, true);
+      header.setUint32(22, file.data.length, true);
+      header.setUint16(26, name.length, true);
+      local.push(new Uint8Array(header.buffer), name, file.data);
+
+      const entry = new DataView(new ArrayBuffer(46));
+      entry.setUint32(0, 0x02014b50, true);
+      entry.setUint16(4, 20, true); // version made by
+      entry.setUint16(6, 20, true); // version needed
+      entry.setUint16(14, 0x21, true);
+      entry.setUint32(16, crc, true);
+      entry.setUint32(20, file.data.length, true);
+      entry.setUint32(24, file.data.length, true);
+      entry.setUint16(28, name.length, true);
+      entry.setUint32(42, offset, true);
+      central.push(new Uint8Array(entry.buffer), name);
+      offset += 30 + name.length + file.data.length;
+    }
+    const centralSize = central.reduce((n, part) => n + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+    const parts = [...local, ...central, new Uint8Array(end.buffer)];
+    const out = new Uint8Array(parts.reduce((n, part) => n + part.length, 0));
+    let pos = 0;
+    for (const part of parts) {
+      out.set(part, pos);
+      pos += part.length;
+    }
+    return out;
+  }
+
+  // Expose API
+  window.Exporter = {
+    COLUMNS,
+    SUMMARY_COLUMNS,
+    summarize,
+    toCSV,
+    toRecords,
+    toXLSX,
+  };
+})();
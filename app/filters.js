@@ -0,0 +1,238 @@
+/* SoundCloud Analyser - Row filters
+   Handles:
+   - Text query syntax for the search box: `plays>1000 category:Excellent artist:okta`
+   - Structured filters from the filter builder (metric ranges, category/dataset lists,
+     posted date range, data quality flags)
+   - One predicate over both, used for the table, KPIs, charts, insights and export
+*/
+
+(function () {
+  'use strict';
+
+  // Numeric fields offered by the builder; aliases are accepted in queries
+  const NUMERIC_FIELDS = [
+    { key: 'plays', label: 'Plays' },
+    { key: 'likes', label: 'Likes' },
+    { key: 'reposts', label: 'Reposts' },
+    { key: 'comments', label: 'Comments' },
+    { key: 'play_like_ratio', label: 'Play/Like', aliases: ['plr'] },
+    { key: 'engagement_rate_pct', label: 'Engagement %', aliases: ['eng', 'engagement'] },
+    { key: 'like_pct', label: 'Like %', aliases: ['likepct'] },
+    { key: 'plays_per_day', label: 'Plays/Day', aliases: ['ppd'] },
+    { key: 'days_since_upload', label: 'Days since upload', aliases: ['days', 'age'] },
+    { key: 'plays_delta', label: 'Δ Plays', aliases: ['delta'] },
+    { key: 'growth_rate_pct', label: 'Growth %/30d', aliases: ['growth'] },
+    { key: 'age_performance_pct', label: 'vs Expected %', aliases: ['expected', 'vs_expected'] },
+    { key: 'composite_score', label: 'Composite score', aliases: ['score'] },
+  ];
+
+  // Data quality flags a row can carry (see rowFlags)
+  const QUALITY_FLAGS = [
+    { key: 'any', label: 'Any issue' },
+    { key: 'posted', label: 'Unparsed date' },
+    { key: 'approx_date', label: 'Approximate date' },
+    { key: 'numbers', label: 'Coerced numbers' },
+    { key: 'no_plays', label: 'No plays' },
+    { key: 'url', label: 'Invalid link' },
+    { key: 'suspicious', label: 'Suspicious values' },
+    { key: 'edited', label: 'Edited' },
+  ];
+
+  // Text fields usable as `field:value` (substring, case-insensitive)
+  const TEXT_FIELDS = ['title', 'artist', 'category', 'dataset', 'type', 'flag'];
+
+  const NUMERIC_BY_NAME = new Map();
+  for (const f of NUMERIC_FIELDS) {
+    NUMERIC_BY_NAME.set(f.key, f.key);
+    for (const a of f.aliases || []) NUMERIC_BY_NAME.set(a, f.key);
+  }
+
+  function rowFlags(row) {
+    const invalid = (row.quality && row.quality.invalid_fields) || [];
+    const flags = [];
+    if (invalid.includes('posted')) flags.push('posted');
+    if (row.date_precision && row.date_precision !== 'day') flags.push('approx_date');
+    if (['likes', 'reposts', 'plays', 'comments'].some(f => invalid.includes(f))) flags.push('numbers');
+    if (invalid.includes('plays_zero_for_rates') || row.plays === 0) flags.push('no_plays');
+    if (invalid.includes('url')) flags.push('url');
+    if (row.quality && row.quality.warnings && row.quality.warnings.length) flags.push('suspicious');
+    if (flags.length) flags.push('any');
+    // A correction is not an issue, so it doesn't count towards "any"
+    if (row.edited && row.edited.length) flags.push('edited');
+    return flags;
+  }
+
+  function rowArtists(row) {
+    const names = [...(row.artists || []), ...(row.featured || []), ...(row.remixers || [])];
+    if (names.length === 0 && row.datasetName) names.push(row.datasetName);
+    return names.map(n => n.toLowerCase());
+  }
+
+  // Split a query into tokens, keeping "quoted values" together
+  function tokenize(text) {
+    return String(text || '').match(/-?[\w.]+(?:>=|<=|!=|>|<|=|:)"[^"]*"?|"[^"]*"?|\S+/g) || [];
+  }
+
+  // Parse `field op value` tokens; anything else, including `word:` with a word that is not a
+  // field ("Paradise: Day 0"), is free text matched against the title.
+  // Ops: > >= < <= = != on numbers and posted dates, `field:a..b` ranges, `field:text` substrings.
+  // A leading "-" negates a term. Returns { text, terms, errors }.
+  function parseQuery(text) {
+    const words = [];
+    const terms = [];
+    const errors = [];
+    for (const tok of tokenize(text)) {
+      const m = tok.match(/^(-?)([\w.]+)(>=|<=|!=|>|<|=|:)(.*)$/);
+      const field = m ? m[2].toLowerCase() : null;
+      if (!m || !isField(field)) {
+        words.push(tok.replace(/"/g, ''));
+        continue;
+      }
+      const [, neg, , op, rawValue] = m;
+      const value = rawValue.replace(/^"|"$/g, '');
+      const negate = neg === '-';
+      if (value === '') {
+        errors.push(`Missing value for ${field}`);
+        continue;
+      }
+      const numericKey = NUMERIC_BY_NAME.get(field);
+      if (numericKey) {
+        const term = numericTerm(numericKey, op, value);
+        if (term) terms.push(Object.assign(term, { negate }));
+        else errors.push(`Not a number: ${tok}`);
+      } else if (field === 'posted' || field === 'date') {
+        terms.push(Object.assign(dateTerm(op, value), { negate }));
+      } else if (TEXT_FIELDS.includes(field)) {
+        if (op !== ':' && op !== '=' && op !== '!=') {
+          errors.push(`Use ${field}:value`);
+          continue;
+        }
+        terms.push({ field, op: 'has', value: value.toLowerCase(), negate: negate !== (op === '!=') });
+      }
+    }
+    return { text: words.join(' ').trim().toLowerCase(), terms, errors };
+  }
+
+  function isField(name) {
+    return NUMERIC_BY_NAME.has(name) || name === 'posted' || name === 'date' || TEXT_FIELDS.includes(name);
+  }
+
+  // Plain numbers keep their decimals (eng>2.5); counts may be written as in the CSV (1k, 1.2M, 1,000)
+  function queryNumber(value) {
+    const n = Number(value);
+    return Number.isFinite(n) ? n : Parser.parseNumber(value, false);
+  }
+
+  function numericTerm(key, op, value) {
+    if (op === ':' && value.includes('..')) {
+      const [lo, hi] = value.split('..').map(v => (v === '' ? null : queryNumber(v)));
+      if ((lo !== null && !Number.isFinite(lo)) || (hi !== null && !Number.isFinite(hi))) return null;
+      return { field: key, op: 'range', min: lo, max: hi };
+    }
+    const n = queryNumber(value);
+    if (!Number.isFinite(n)) return null;
+    return { field: key, op: op === ':' ? '=' : op, value: n };
+  }
+
+  // ISO dates compare as strings; partial dates ("2024", "2024-06") work as prefixes for ranges
+  function dateTerm(op, value) {
+    if (op === ':' && value.includes('..')) {
+      const [lo, hi] = value.split('..');
+      return { field: 'posted_iso', op: 'range', min: lo || null, max: hi || null, date: true };
+    }
+    if (op === ':' || op === '=') return { field: 'posted_iso', op: 'prefix', value, date: true };
+    return { field: 'posted_iso', op, value, date: true };
+  }
+
+  function compare(v, op, target) {
+    switch (op) {
+      case '>': return v > target;
+      case '>=': return v >= target;
+      case '<': return v < target;
+      case '<=': return v <= target;
+      case '=': return v === target;
+      case '!=': return v !== target;
+      default: return true;
+    }
+  }
+
+  function inRange(v, min, max, isDate) {
+    if (min !== null && min !== undefined && v < min) return false;
+    // Date upper bounds are inclusive of the whole period: "..2024-06" keeps 2024-06-30
+    if (max !== null && max !== undefined) {
+      if (isDate ? v.slice(0, max.length) > max : v > max) return false;
+    }
+    return true;
+  }
+
+  function textValue(row, field) {
+    switch (field) {
+      case 'title': return [String(row.title || '').toLowerCase()];
+      case 'artist': return rowArtists(row);
+      case 'category': return [String(row.category || '').toLowerCase()];
+      case 'dataset': return [String(row.datasetName || '').toLowerCase()];
+      case 'type': return [String(row.content_type || '').toLowerCase()];
+      case 'flag': return rowFlags(row);
+      default: return [];
+    }
+  }
+
+  function matchesTerm(row, t) {
+    let ok;
+    if (t.op === 'has') {
+      ok = textValue(row, t.field).some(v => v.includes(t.value));
+    } else {
+      const v = row[t.field];
+      const present = t.date ? !!v : (typeof v === 'number' && !Number.isNaN(v));
+      if (!present) ok = false;
+      else if (t.op === 'range') ok = inRange(v, t.min, t.max, t.date);
+      else if (t.op === 'prefix') ok = v.startsWith(t.value);
+      else ok = compare(v, t.op, t.value);
+    }
+    return t.negate ? !ok : ok;
+  }
+
+  function matchesQuery(row, parsed) {
+    if (!parsed) return true;
+    if (parsed.text && !String(row.title || '').toLowerCase().includes(parsed.text)) return false;
+    return parsed.terms.every(t => matchesTerm(row, t));
+  }
+
+  // Builder spec: { ranges: [{ key, min, max }], categories: [], datasets: [],
+  // dateFrom, dateTo (ISO), flags: [] }. Empty lists and blank bounds don't filter.
+  function emptySpec() {
+    return { ranges: [], categories: [], datasets: [], dateFrom: '', dateTo: '', flags: [] };
+  }
+
+  function matchesSpec(row, spec) {
+    if (!spec) return true;
+    for (const r of spec.ranges || []) {
+      if (!Number.isFinite(r.min) && !Number.isFinite(r.max)) continue;
+      const v = row[r.key];
+      if (typeof v !== 'number' || Number.isNaN(v)) return false;
+      if (!inRange(v, Number.isFinite(r.min) ? r.min : null, Number.isFinite(r.max) ? r.max : null, false)) return false;
+    }
+    if (spec.categories?.length && !spec.categories.includes(row.category)) return false;
+    if (spec.datasets?.length && !spec.datasets.includes(row.datasetName)) return false;
+    if (spec.dateFrom || spec.dateTo) {
+      if (!row.posted_iso) return false;
+      if (!inRange(row.posted_iso, spec.dateFrom || null, spec.dateTo || null, true)) return false;
+    }
+    if (spec.flags?.length) {
+      const flags = rowFlags(row);
+      if (!spec.flags.some(f => flags.includes(f))) return false;
+    }
+    return true;
+  }
+
+  // Expose API
+  window.Filters = {
+    NUMERIC_FIELDS,
+    QUALITY_FLAGS,
+    parseQuery,
+    matchesQuery,
+    emptySpec,
+    matchesSpec,
+    rowFlags,
+  };
+})();
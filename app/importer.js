@@ -0,0 +1,267 @@
+/* SoundCloud Analyser - Page import
+   Handles:
+   - Tracks read from a saved SoundCloud profile page (.html): the rendered track list,
+     else the page's embedded hydration data, else its visible text
+   - Tracks read from text copied off a tracks page (Ctrl+A, Ctrl+C)
+   - Canonical CSV text from the tracks, so an import is stored and re-processed like an upload
+   - Reposts (other artists' tracks shown on the page) marked by a "Reposted " posted label,
+     which the parser reads as a repost row
+   Everything runs on the given text: DOMParser documents run no scripts and load nothing.
+*/
+
+(function () {
+  'use strict';
+
+  const CSV_HEADER = ['TRACK', 'POSTED', 'LIKES', 'REPOSTS', 'PLAYS', 'COMMENTS', 'URL'];
+  const COUNT_FIELDS = ['likes', 'reposts', 'plays', 'comments'];
+  // Button captions SoundCloud shows instead of a count of zero
+  const ZERO_LABELS = { like: 'likes', likes: 'likes', repost: 'reposts', reposts: 'reposts', comment: 'comments', comments: 'comments' };
+  const NUMBER = '(\\d[\\d.,\\s\\u00a0\\u202f]*[kmb]?)';
+  const LABELLED_COUNT = new RegExp(`^${NUMBER}\\s*(plays?|likes?|reposts?|comments?)$`, 'i');
+  const BARE_COUNT = new RegExp(`^${NUMBER}$`, 'i');
+  const SKIP_TAGS = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'SVG']);
+
+  function track(fields) {
+    const posted = String(fields.posted || '').trim();
+    return {
+      title: String(fields.title || '').replace(/\s+/g, ' ').trim(),
+      posted: fields.reposted ? `Reposted ${posted}` : posted,
+      likes: fields.likes ?? '',
+      reposts: fields.reposts ?? '',
+      plays: fields.plays ?? '',
+      comments: fields.comments ?? '',
+      url: fields.url || '',
+    };
+  }
+
+  function absoluteUrl(href) {
+    if (!href) return '';
+    if (/^https?:\/\//i.test(href)) return href;
+    return href.startsWith('/') ? `https://soundcloud.com${href}` : '';
+  }
+
+  // ---------- Saved HTML ----------
+  // { tracks, source: 'list' | 'data' | 'text' | null, artist }
+  function fromHTML(html) {
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    const artist = pageArtist(doc);
+    const list = tracksFromList(doc);
+    const data = tracksFromHydration(doc);
+    // The rendered list holds every track scrolled into view; the embedded data only the first page
+    if (list.length && list.length >= data.length) return { tracks: list, source: 'list', artist };
+    if (data.length) return { tracks: data, source: 'data', artist };
+    return Object.assign(fromText(visibleText(doc.body)), { artist });
+  }
+
+  function pageArtist(doc) {
+    const og = doc.querySelector('meta[property="og:title"]')?.getAttribute('content');
+    if (og) return og.trim();
+    const m = (doc.title || '').match(/^Stream (.+?) music\b/i);
+    return m ? m[1].trim() : '';
+  }
+
+  function countIn(el) {
+    if (!el) return '';
+    const texts = [el.getAttribute('aria-label'), el.getAttribute('title'), el.textContent];
+    for (const t of texts) {
+      const m = String(t || '').match(/\d[\d.,]*\s*[kmb]?/i);
+      if (m) return m[0].replace(/\s+/g, '');
+    }
+    return '0'; // a "Like"/"Repost" caption: nothing counted yet
+  }
+
+  function tracksFromList(doc) {
+    const tracks = [];
+    for (const item of doc.querySelectorAll('.soundList__item, .trackList__item, .searchList__item')) {
+      const link = item.querySelector('a.soundTitle__title, .trackItem__trackTitle');
+      if (!link) continue;
+      const time = item.querySelector('time');
+      const datetime = time?.getAttribute('datetime');
+      tracks.push(track({
+        reposted: !!item.querySelector('.soundContext__repost'),
+        title: link.textContent,
+        posted: datetime ? datetime.slice(0, 10) : (time?.textContent || ''),
+        likes: countIn(item.querySelector('.sc-button-like')),
+        reposts: countIn(item.querySelector('.sc-button-repost')),
+        plays: countIn(item.querySelector('.sc-ministats-plays')),
+        comments: countIn(item.querySelector('.sc-ministats-comments')),
+        url: absoluteUrl(link.getAttribute('href')),
+      }));
+    }
+    return tracks.filter(t => t.title);
+  }
+
+  // window.__sc_hydration = [...]: track objects anywhere inside, once each. Stream items
+  // of type "track-repost" wrap a track the page reposted.
+  function tracksFromHydration(doc) {
+    const seen = new Set();
+    const tracks = [];
+    const visit = (node, reposted = false) => {
+      if (!node || typeof node !== 'object') return;
+      if (Array.isArray(node)) return node.forEach(n => visit(n, reposted));
+      if (node.type === 'track-repost') reposted = true;
+      if (node.kind === 'track' && node.title && 'playback_count' in node) {
+        const key = node.id ?? node.permalink_url ?? node.title;
+        if (!seen.has(key)) {
+          seen.add(key);
+          tracks.push(track({
+            reposted,
+            title: node.title,
+            posted: String(node.display_date || node.created_at || '').slice(0, 10),
+            likes: node.likes_count ?? node.favoritings_count ?? '',
+            reposts: node.reposts_count ?? '',
+            plays: node.playback_count ?? '',
+            comments: node.comment_count ?? '',
+            url: node.permalink_url,
+          }));
+        }
+      }
+      Object.values(node).forEach(n => visit(n, reposted));
+    };
+    for (const script of doc.querySelectorAll('script')) {
+      const m = script.textContent.match(/__sc_hydration\s*=\s*(\[[\s\S]*\])\s*;?/);
+      if (!m) continue;
+      try {
+        visit(JSON.parse(m[1]));
+      } catch (err) {
+        console.warn('Could not read the page data embedded in the HTML:', err);
+      }
+    }
+    return tracks;
+  }
+
+  // Text nodes one per line, as a copy of the rendered page would give
+  function visibleText(root) {
+    if (!root) return '';
+    const lines = [];
+    const walk = (node) => {
+      for (const child of node.childNodes) {
+        if (child.nodeType === 3) lines.push(child.nodeValue);
+        else if (child.nodeType === 1 && !SKIP_TAGS.has(child.tagName.toUpperCase())) walk(child);
+      }
+    };
+    walk(root);
+    return lines.join('\n');
+  }
+
+  // ---------- Copied page text ----------
+  // { tracks, source: 'text' | null, artist: '' }. Each track shows a posted label ("8 days ago"); the title sits next to it, the counts
+  // follow. Labelled counts ("386 plays") are taken as such; bare numbers and the
+  // "Like"/"Repost" captions fill likes, reposts, plays, comments in page order. A
+  // "reposted" line just above the date ("DJ X reposted") marks a repost.
+  function fromText(text) {
+    const lines = String(text || '').split(/\r?\n/).map(l => l.replace(/\s+/g, ' ').trim()).filter(Boolean);
+    const blocks = [];
+    for (let i = 0; i < lines.length; i++) {
+      if (!postedLabel(lines[i])) continue;
+      let end = i;
+      while (end + 1 < lines.length && postedLabel(lines[end + 1])) end++; // "Posted 8 days ago" + "8 days ago"
+      const reposted = lines.slice(Math.max(0, i - 2), end + 1).some(l => /\breposted\b/i.test(l));
+      blocks.push({ start: i, end, posted: postedLabel(lines[end]), reposted });
+      i = end;
+    }
+    if (blocks.length === 0) return { tracks: [], source: null, artist: '' };
+
+    // On a profile the line before every date is the uploader's name, so the title follows
+    // the date; otherwise the line before the date is the title
+    const before = blocks.map(b => lines[b.start - 1] || '');
+    const freq = {};
+    for (const b of before) freq[b] = (freq[b] || 0) + 1;
+    const titleAfter = blocks.length > 1 && Math.max(...Object.values(freq)) > blocks.length / 2;
+
+    const tracks = blocks.map((b, n) => {
+      const stop = n + 1 < blocks.length ? blocks[n + 1].start : lines.length;
+      let title = '';
+      let from = b.end + 1;
+      if (titleAfter) {
+        while (from < stop && !title) {
+          const line = lines[from++];
+          if (!line.startsWith('#') && !isCount(line)) title = line;
+        }
+      } else {
+        title = lines[b.start - 1] || '';
+      }
+      // In title-before-date layouts the next track's uploader and title end this block
+      const last = titleAfter || n + 1 === blocks.length ? stop : stop - 2;
+      return track(Object.assign({ title, posted: b.posted, reposted: b.reposted }, countsIn(lines.slice(from, Math.max(from, last)))));
+    });
+    const found = tracks.filter(t => t.title && !isCount(t.title));
+    return { tracks: found, source: found.length ? 'text' : null, artist: '' };
+  }
+
+  function postedLabel(line) {
+    const label = line.replace(/^(re)?posted\s+/i, '');
+    if (label.length > 30 || !/[a-z]/i.test(label) && !/[-/.]/.test(label)) return null;
+    return Parser.parseRelativeDate(label).iso ? label : null;
+  }
+
+  function isCount(line) {
+    return LABELLED_COUNT.test(line) || BARE_COUNT.test(line) || line.toLowerCase() in ZERO_LABELS;
+  }
+
+  function countsIn(lines) {
+    const counts = {};
+    const bare = [];
+    lines.forEach((line, i) => {
+      const labelled = line.match(LABELLED_COUNT);
+      if (labelled) {
+        counts[fieldFor(labelled[2])] = labelled[1].replace(/\s+/g, '');
+        return;
+      }
+      const zero = ZERO_LABELS[line.toLowerCase()];
+      if (zero) {
+        bare.push({ field: zero, value: '0', i });
+        return;
+      }
+      if (BARE_COUNT.test(line)) bare.push({ value: line.replace(/\s+/g, ''), i });
+    });
+    // A bare number right next to the same number labelled is the visible half of one stat
+    const echoes = (b) => [lines[b.i - 1], lines[b.i + 1]].some(l => {
+      const m = l && l.match(LABELLED_COUNT);
+      return m && sameCount(m[1].replace(/\s+/g, ''), b.value);
+    });
+    for (const b of bare) {
+      if (echoes(b)) continue;
+      const field = b.field && !(b.field in counts) ? b.field : COUNT_FIELDS.find(f => !(f in counts));
+      if (field) counts[field] = b.value;
+    }
+    return counts;
+  }
+
+  // The two halves of a stat may be written in different number formats ("1.2K" next to
+  // "1,2K likes"), so they match when any reading of one equals any reading of the other
+  function sameCount(a, b) {
+    const readings = v => Parser.NUMBER_FORMATS.map(f => Parser.parseNumber(v, false, null, null, f));
+    const ra = readings(a);
+    return readings(b).some(n => n !== null && ra.includes(n));
+  }
+
+  function fieldFor(label) {
+    const l = label.toLowerCase();
+    if (l.startsWith('play')) return 'plays';
+    if (l.startsWith('like')) return 'likes';
+    if (l.startsWith('repost')) return 'reposts';
+    return 'comments';
+  }
+
+  // ---------- CSV ----------
+  function quote(v) {
+    const s = String(v ?? '');
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  }
+
+  function toCSV(tracks) {
+    const lines = [CSV_HEADER.join(',')];
+    for (const t of tracks) {
+      lines.push([t.title, t.posted, t.likes, t.reposts, t.plays, t.comments, t.url].map(quote).join(','));
+    }
+    return lines.join('\n') + '\n';
+  }
+
+  // Expose API
+  window.PageImport = {
+    fromHTML,
+    fromText,
+    toCSV,
+  };
+})();
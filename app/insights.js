@@ -0,0 +1,387 @@
+/* SoundCloud Analyser - Insights engine
+   Handles:
+   - Rule-based findings over a set of rows: outliers, release timing, engagement by release
+     year, comment/repost-heavy tracks, catalogue concentration, best/worst ratios
+   - Each finding: { rule, label, text, detail, score, rows } where text is the headline,
+     detail explains how it was computed and rows are the tracks behind it
+   - Ranking by score (rough 0-1 strength) and switching rules off by id
+*/
+
+(function () {
+  'use strict';
+
+  const LIST = 3; // tracks named in a headline
+  const TREND_OUTLIER_Z = 2; // |z| of log-log residuals
+  const ROBUST_OUTLIER_Z = 3; // robust z (median/MAD) for metric outliers
+  const HEAVY_FACTOR = 3; // "comment/repost heavy" = at least 3x the catalogue median rate
+  const MIN_GROUP = 3; // tracks per year / weekday / month before a group is compared
+  const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+  const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August',
+    'September', 'October', 'November', 'December'];
+
+  // ---------- helpers ----------
+  function num(n, digits = 2) {
+    return Number.isFinite(n) ? (Math.round(n * 10 ** digits) / 10 ** digits).toFixed(digits) : '';
+  }
+
+  function int(n) {
+    return Number.isFinite(n) ? Math.round(n).toLocaleString() : '';
+  }
+
+  function signedPct(n) {
+    return (n > 0 ? '+' : '') + num(n, 1) + '%';
+  }
+
+  function clamp01(v) {
+    return Math.max(0, Math.min(1, v));
+  }
+
+  function names(rows, note) {
+    return rows.map(r => (note ? `${r.title} (${note(r)})` : r.title)).join(' • ');
+  }
+
+  function groupBy(rows, keyOf) {
+    const groups = new Map();
+    for (const r of rows) {
+      const key = keyOf(r);
+      if (key === null || key === undefined) continue;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(r);
+    }
+    return groups;
+  }
+
+  // Upload dates exact enough for the question: day-of-week needs the day, year needs the month
+  function hasDate(r, precisions) {
+    return !!r.posted_iso && precisions.includes(r.date_precision || 'day');
+  }
+
+  // Robust z-scores: 0.6745 * (x - median) / MAD; null when the spread is zero
+  function robustZ(values) {
+    const med = Parser.median(values);
+    const mad = Parser.median(values.map(v => Math.abs(v - med)));
+    if (!mad) return null;
+    return values.map(v => 0.6745 * (v - med) / mad);
+  }
+
+  // The metric release-timing rules compare: age-adjusted when available, else plays/day
+  function timingMetric(rows) {
+    const aged = rows.filter(r => Number.isFinite(r.age_performance_pct));
+    if (aged.length >= rows.length / 2) {
+      return { key: 'age_performance_pct', label: 'vs Expected', format: signedPct, better: (a, b) => a - b };
+    }
+    return { key: 'plays_per_day', label: 'plays/day', format: v => num(v, 1), better: (a, b) => (b > 0 ? a / b - 1 : 0) };
+  }
+
+  // Best group of rows by median metric, among groups with enough tracks
+  function bestGroup(groups, metric) {
+    let best = null;
+    for (const [key, rows] of groups) {
+      const vals = rows.map(r => r[metric.key]).filter(Number.isFinite);
+      if (vals.length < MIN_GROUP) continue;
+      const med = Parser.median(vals);
+      if (!best || med > best.median) best = { key, rows, median: med, count: vals.length };
+    }
+    return best;
+  }
+
+  // ---------- rules ----------
+  const RULES = [
+    {
+      id: 'concentration',
+      label: 'Catalogue concentration',
+      description: 'Share of all plays earned by the most played tracks',
+      run(rows) {
+        const total = rows.reduce((acc, r) => acc + (Number.isFinite(r.plays) ? r.plays : 0), 0);
+        if (rows.length < 8 || total <= 0) return [];
+        const sorted = rows.slice().sort((a, b) => (b.plays || 0) - (a.plays || 0));
+        const top = sorted.slice(0, 5);
+        const share = top.reduce((acc, r) => acc + r.plays, 0) / total * 100;
+        const fifth = sorted.slice(0, Math.max(1, Math.round(rows.length / 5)));
+        const fifthShare = fifth.reduce((acc, r) => acc + r.plays, 0) / total * 100;
+        return [{
+          text: `Top 5 tracks = ${num(share, 0)}% of plays`,
+          detail: `Out of ${rows.length} tracks and ${int(total)} plays; the top 20% of tracks (${fifth.length}) hold ${num(fifthShare, 0)}%. An even catalogue would give the top 5 about ${num(500 / rows.length, 0)}%.`,
+          score: clamp01(share / 100),
+          rows: top,
+        }];
+      },
+    },
+    {
+      id: 'metric_outliers',
+      label: 'Statistical outliers',
+      description: 'Plays/day far from the catalogue norm (robust z-score of log plays/day)',
+      run(rows) {
+        const usable = rows.filter(r => Number.isFinite(r.plays_per_day) && r.plays_per_day > 0);
+        if (usable.length < 8) return [];
+        const z = robustZ(usable.map(r => Math.log10(r.plays_per_day)));
+        if (!z) return [];
+        const med = Parser.median(usable.map(r => r.plays_per_day));
+        const scored = usable.map((r, i) => ({ r, z: z[i] }));
+        const times = r => `${num(r.plays_per_day / med, 1)}×`;
+        const out = [];
+        const high = scored.filter(e => e.z >= ROBUST_OUTLIER_Z).sort((a, b) => b.z - a.z);
+        const low = scored.filter(e => e.z <= -ROBUST_OUTLIER_Z).sort((a, b) => a.z - b.z);
+        if (high.length) {
+          out.push({
+            text: `Breakout tracks, far above the typical plays/day: ${names(high.slice(0, LIST).map(e => e.r), times)}`,
+            detail: `${high.length} track(s) with a robust z-score of ${ROBUST_OUTLIER_Z} or more on log plays/day (catalogue median ${num(med, 1)} plays/day).`,
+            score: clamp01(high[0].z / 6),
+            rows: high.map(e => e.r),
+          });
+        }
+        if (low.length) {
+          out.push({
+            text: `Far below the typical plays/day: ${names(low.slice(0, LIST).map(e => e.r), times)}`,
+            detail: `${low.length} track(s) with a robust z-score of −${ROBUST_OUTLIER_Z} or less on log plays/day (catalogue median ${num(med, 1)} plays/day).`,
+            score: clamp01(-low[0].z / 8),
+            rows: low.map(e => e.r),
+          });
+        }
+        return out;
+      },
+    },
+    {
+      id: 'trend_outliers',
+      label: 'Scatter trend outliers',
+      description: 'Tracks far from their dataset\'s log-log trend on the scatter axes',
+      run(rows, ctx) {
+        const axes = ctx.axes || { x: 'plays', y: 'like_pct' };
+        const pair = `${axes.yLabel || axes.y} vs ${axes.xLabel || axes.x}`;
+        const residuals = [];
+        for (const group of groupBy(rows, r => r.datasetName || '').values()) {
+          const fit = Parser.logLogTrend(group, axes.x, axes.y);
+          if (fit) residuals.push(...fit.residuals);
+        }
+        const outliers = residuals.filter(e => Math.abs(e.z) >= TREND_OUTLIER_Z);
+        const factor = e => `×${num(Math.pow(10, e.residual))}`;
+        const label = e => `${e.row.title} (${factor(e)})`;
+        const above = outliers.filter(e => e.z > 0).sort((a, b) => b.z - a.z);
+        const below = outliers.filter(e => e.z < 0).sort((a, b) => a.z - b.z);
+        const out = [];
+        if (above.length) {
+          out.push({
+            text: `Above the ${pair} trend: ${above.slice(0, LIST).map(label).join(' • ')}`,
+            detail: `Residuals of ${TREND_OUTLIER_Z} standard deviations or more from each dataset's power-law fit; ×2 means twice the trend value.`,
+            score: clamp01(above[0].z / 5),
+            rows: above.map(e => e.row),
+          });
+        }
+        if (below.length) {
+          out.push({
+            text: `Below the ${pair} trend: ${below.slice(0, LIST).map(label).join(' • ')}`,
+            detail: `Residuals of ${TREND_OUTLIER_Z} standard deviations or more below each dataset's power-law fit.`,
+            score: clamp01(-below[0].z / 6),
+            rows: below.map(e => e.row),
+          });
+        }
+        return out;
+      },
+    },
+    {
+      id: 'release_timing',
+      label: 'Best release day and month',
+      description: 'Weekday and month of upload with the best median performance',
+      run(rows) {
+        const out = [];
+        const dayRows = rows.filter(r => hasDate(r, ['day']));
+        const monthRows = rows.filter(r => hasDate(r, ['day', 'week']));
+        const date = r => new Date(r.posted_iso + 'T00:00:00Z');
+        const checks = [
+          { rows: dayRows, keyOf: r => date(r).getUTCDay(), name: k => `${WEEKDAYS[k]} releases`, what: 'day of the week', precision: 'an exact upload date' },
+          { rows: monthRows, keyOf: r => date(r).getUTCMonth(), name: k => `${MONTHS[k]} releases`, what: 'month', precision: 'an upload date within a week' },
+        ];
+        for (const check of checks) {
+          if (check.rows.length < 10) continue;
+          const metric = timingMetric(check.rows);
+          const groups = groupBy(check.rows, check.keyOf);
+          if (groups.size < 3) continue;
+          const best = bestGroup(groups, metric);
+          const overall = Parser.median(check.rows.map(r => r[metric.key]));
+          if (!best || overall === null) continue;
+          const lift = metric.better(best.median, overall);
+          if (lift <= 0) continue;
+          out.push({
+            text: `${check.name(best.key)} do best: median ${metric.label} ${metric.format(best.median)} (${best.count} tracks) against ${metric.format(overall)} overall`,
+            detail: `Compares tracks by upload ${check.what}, using the ${check.rows.length} tracks with ${check.precision} and groups of at least ${MIN_GROUP}. Small groups are noisy; treat this as a hint.`,
+            score: clamp01(metric.key === 'age_performance_pct' ? lift / 100 : lift / 2) * 0.8,
+            rows: best.rows,
+          });
+        }
+        return out;
+      },
+    },
+    {
+      id: 'release_year',
+      label: 'Engagement by release year',
+      description: 'How median engagement % changes with the year tracks were released',
+      run(rows) {
+        const dated = rows.filter(r => hasDate(r, ['day', 'week', 'month']) && Number.isFinite(r.engagement_rate_pct));
+        const years = [...groupBy(dated, r => r.posted_iso.slice(0, 4))]
+          .filter(([, g]) => g.length >= MIN_GROUP)
+          .map(([year, g]) => ({ year, rows: g, median: Parser.median(g.map(r => r.engagement_rate_pct)) }))
+          .sort((a, b) => a.year.localeCompare(b.year));
+        if (years.length < 2) return [];
+        const first = years[0];
+        const last = years[years.length - 1];
+        const best = years.reduce((a, b) => (b.median > a.median ? b : a));
+        const change = first.median > 0 ? last.median / first.median - 1 : 0;
+        const perYear = years.map(y => `${y.year}: ${num(y.median)}% (${y.rows.length})`).join(' · ');
+        const direction = change >= 0.2 ? 'rising' : change <= -0.2 ? 'falling' : null;
+        if (direction) {
+          return [{
+            text: `Engagement is ${direction} by release year: median ${num(first.median)}% for ${first.year} tracks → ${num(last.median)}% for ${last.year}`,
+            detail: `Median engagement % per release year (tracks): ${perYear}.`,
+            score: clamp01(Math.abs(change)) * 0.7,
+            rows: direction === 'rising' ? last.rows : first.rows,
+          }];
+        }
+        return [{
+          text: `${best.year} releases engage best: median ${num(best.median)}%`,
+          detail: `No clear trend across years. Median engagement % per release year (tracks): ${perYear}.`,
+          score: 0.2,
+          rows: best.rows,
+        }];
+      },
+    },
+    {
+      id: 'comment_heavy',
+      label: 'Comment-heavy tracks',
+      description: `Comments per play at least ${HEAVY_FACTOR}× the catalogue median`,
+      run(rows) {
+        const rate = r => (r.plays > 0 ? r.comments / r.plays * 1000 : null);
+        const base = Parser.median(rows.map(rate).filter(v => v !== null && v > 0));
+        if (base === null) return [];
+        const heavy = rows
+          .filter(r => r.comments >= 3 && rate(r) >= base * HEAVY_FACTOR)
+          .sort((a, b) => rate(b) - rate(a));
+        if (heavy.length === 0) return [];
+        return [{
+          text: `Comment-heavy: ${names(heavy.slice(0, LIST), r => `${int(r.comments)} comments, ${num(rate(r), 1)} per 1k plays`)}`,
+          detail: `${heavy.length} track(s) with at least 3 comments and ${HEAVY_FACTOR}× the catalogue's median of ${num(base, 1)} comments per 1,000 plays. Listeners are talking about these.`,
+          score: clamp01(rate(heavy[0]) / base / 15),
+          rows: heavy,
+        }];
+      },
+    },
+    {
+      id: 'repost_heavy',
+      label: 'Reposts high for their likes',
+      description: `Repost/like ratio at least ${HEAVY_FACTOR}× the catalogue median`,
+      run(rows) {
+        const ratio = r => (r.likes > 0 ? r.reposts / r.likes : null);
+        const base = Parser.median(rows.map(ratio).filter(v => v !== null && v > 0));
+        if (base === null) return [];
+        const heavy = rows
+          .filter(r => r.reposts >= 3 && r.likes > 0 && ratio(r) >= base * HEAVY_FACTOR)
+          .sort((a, b) => ratio(b) - ratio(a));
+        if (heavy.length === 0) return [];
+        return [{
+          text: `Reposts unusually high for their likes: ${names(heavy.slice(0, LIST), r => `${int(r.reposts)} reposts / ${int(r.likes)} likes`)}`,
+          detail: `${heavy.length} track(s) with at least 3 reposts and a repost/like ratio ${HEAVY_FACTOR}× the catalogue median of ${num(base)}. Often a curator or repost-network push rather than organic listening.`,
+          score: clamp01(ratio(heavy[0]) / base / 15),
+          rows: heavy,
+        }];
+      },
+    },
+    {
+      id: 'age_performance',
+      label: 'Ahead of / behind their age',
+      description: 'Plays against the catalogue\'s expectation for a track of the same age',
+      run(rows) {
+        const aged = rows.filter(r => Number.isFinite(r.age_performance_pct));
+        const label = r => signedPct(r.age_performance_pct);
+        const over = aged.filter(r => r.age_performance_pct > 0).sort((a, b) => b.age_performance_pct - a.age_performance_pct);
+        const under = aged.filter(r => r.age_performance_pct < 0).sort((a, b) => a.age_performance_pct - b.age_performance_pct);
+        const out = [];
+        if (over.length) {
+          out.push({
+            text: `Ahead of expectation for their age: ${names(over.slice(0, LIST), label)}`,
+            detail: 'Plays compared with the catalogue\'s plays-vs-age trend; +100% means twice the plays expected at that age.',
+            score: clamp01(over[0].age_performance_pct / 400) * 0.8,
+            rows: over.slice(0, LIST),
+          });
+        }
+        if (under.length) {
+          out.push({
+            text: `Behind expectation for their age: ${names(under.slice(0, LIST), label)}`,
+            detail: 'Plays compared with the catalogue\'s plays-vs-age trend; −50% means half the plays expected at that age.',
+            score: clamp01(-under[0].age_performance_pct / 100) * 0.5,
+            rows: under.slice(0, LIST),
+          });
+        }
+        return out;
+      },
+    },
+    {
+      id: 'play_like',
+      label: 'Best and worst Play/Like',
+      description: 'Fewest and most plays per like',
+      run(rows) {
+        const finite = rows.filter(r => Number.isFinite(r.play_like_ratio));
+        if (finite.length < 2) return [];
+        const med = Parser.median(finite.map(r => r.play_like_ratio));
+        const best = finite.slice().sort((a, b) => a.play_like_ratio - b.play_like_ratio).slice(0, LIST);
+        const worst = finite.slice().sort((a, b) => b.play_like_ratio - a.play_like_ratio).slice(0, LIST);
+        const label = r => num(r.play_like_ratio, 1);
+        return [
+          {
+            text: `Top Play/Like: ${names(best, label)}`,
+            detail: `Fewest plays per like (lower is better); catalogue median ${num(med, 1)}.`,
+            score: 0.3,
+            rows: best,
+          },
+          {
+            text: `Bottom Play/Like: ${names(worst, label)}`,
+            detail: `Most plays per like among tracks with likes; catalogue median ${num(med, 1)}.`,
+            score: 0.25,
+            rows: worst,
+          },
+        ];
+      },
+    },
+    {
+      id: 'engagement_top',
+      label: 'Top engagement',
+      description: 'Highest engagement %, among tracks with at least the median plays',
+      run(rows) {
+        const medPlays = Parser.median(rows.map(r => r.plays));
+        // A track with 3 plays and 1 like is not a finding
+        const eligible = rows.filter(r => Number.isFinite(r.engagement_rate_pct) && r.plays > 0 && r.plays >= (medPlays || 0));
+        if (eligible.length < 2) return [];
+        const top = eligible.sort((a, b) => b.engagement_rate_pct - a.engagement_rate_pct).slice(0, LIST);
+        return [{
+          text: `Top Engagement %: ${names(top, r => `${num(r.engagement_rate_pct)}%`)}`,
+          detail: `(likes + reposts + comments) / plays, among the ${eligible.length} tracks with at least the median ${int(medPlays)} plays; catalogue median ${num(Parser.median(rows.map(r => r.engagement_rate_pct)))}%.`,
+          score: 0.3,
+          rows: top,
+        }];
+      },
+    },
+  ];
+
+  // Run every enabled rule and rank the findings. options: { disabled: [rule ids],
+  // axes: { x, y, xLabel, yLabel } for the scatter trend rule }
+  function run(rows, options = {}) {
+    const disabled = new Set(options.disabled || []);
+    const findings = [];
+    if (!rows || rows.length === 0) return findings;
+    for (const rule of RULES) {
+      if (disabled.has(rule.id)) continue;
+      let out = [];
+      try {
+        out = rule.run(rows, options) || [];
+      } catch (err) {
+        console.warn(`Insight rule ${rule.id} failed:`, err);
+      }
+      for (const f of out) findings.push(Object.assign({ rule: rule.id, label: rule.label }, f));
+    }
+    return findings.sort((a, b) => b.score - a.score);
+  }
+
+  // Expose API
+  window.Insights = {
+    RULES: RULES.map(({ id, label, description }) => ({ id, label, description })),
+    run,
+  };
+})();
@@ -1,11 +1,23 @@
 /* SoundCloud Analyser - Parser and Metrics
    Handles:
    - Robust CSV parsing (quotes, commas)
-   - Duplicate header removal and empty row skipping
-   - Number parsing with commas and k/K suffix (decimals supported)
-   - Relative date parsing to ISO and days since upload
+   - Header mapping by column name or alias (any order, any case, localised names);
+     extra columns kept on each row; duplicate header removal and empty row skipping
+     (every skipped row is reported with its line and reason)
+   - Data quality: coerced fields, unparsed dates and suspicious values (negative counts,
+     more likes than plays) flagged per row; user corrections applied by source line
+   - Delimiter (comma, semicolon, tab) and text encoding detection (BOM, UTF-16, Windows-1252)
+   - Number parsing with thousands separators, decimal point or comma (detected per file),
+     and k/K, m/M, b/B suffixes (decimals supported)
+   - Relative and absolute date parsing to ISO and days since upload (anchored to an as-of date)
    - Data normalization and metrics computation
-   - Quantile-based categorization (quartiles of play/like ratio)
+   - Categorization modes: PLR quartiles, fixed PLR thresholds, PLR z-score bands,
+     engagement or plays/day quartiles, weighted composite score, age-adjusted performance
+   - Artist/featured/remixer credits parsed from track titles
+   - Content type classification (original, remix, edit, podcast/mix, live, premiere)
+   - Age expectation model (plays/likes vs days since upload) per dataset
+   - Repost rows (other artists' tracks reposted on the page) typed apart and, unless
+     included, kept out of the age model, category cut points and aggregates
 */
 
 (function () {
@@ -13,6 +25,21 @@
 
   const CANONICAL_HEADERS = ["track", "posted", "likes", "reposts", "plays", "comments"];
 
+  // Header names accepted for each field, compared after normalizeHeader (lowercase,
+  // accents and punctuation removed). English spreadsheet renames plus the German, French,
+  // Spanish, Italian and Dutch SoundCloud labels.
+  const FIELD_ALIASES = {
+    track: ["track", "tracks", "title", "tracktitle", "trackname", "name", "song", "titel", "titre", "titulo", "titolo", "morceau", "cancion", "brano", "nummer"],
+    posted: ["posted", "postedon", "date", "uploaded", "uploadedon", "uploaddate", "created", "createdat", "released", "releasedate", "datum", "veroffentlicht", "hochgeladen", "publie", "publiele", "fecha", "publicado", "pubblicato", "geplaatst"],
+    likes: ["likes", "like", "favorites", "favourites", "favoritings", "hearts", "gefalltmir", "jaime", "megusta", "mipiace", "vindikleuk"],
+    reposts: ["reposts", "repost", "reshares", "shares", "weiterverbreitet", "repostes", "republicaciones", "condivisioni"],
+    plays: ["plays", "play", "playcount", "listens", "streams", "wiedergaben", "abspielungen", "ecoutes", "lectures", "reproducciones", "riproduzioni", "afgespeeld"],
+    comments: ["comments", "comment", "commentcount", "kommentare", "commentaires", "comentarios", "commenti", "reacties"],
+    url: ["url", "link", "permalink", "permalinkurl", "trackurl", "soundcloudurl"],
+    row_type: ["rowtype", "type", "entrytype", "reposted", "isrepost"],
+  };
+  const MAPPED_FIELDS = [...CANONICAL_HEADERS, "url", "row_type"];
+
   function isHeaderRow(fields) {
     if (!fields || fields.length < 6) return false;
     const lower = fields.slice(0, 6).map(v => String(v || "").trim().toLowerCase());
@@ -22,13 +49,150 @@
     return true;
   }
 
+  function normalizeHeader(value) {
+    return String(value || "").normalize("NFD").replace(/[\u0300-\u036f]/g, "")
+      .toLowerCase().replace(/[^a-z0-9]/g, "");
+  }
+
+  function fieldForHeader(value) {
+    const name = normalizeHeader(value);
+    if (!name) return null;
+    return MAPPED_FIELDS.find(f => FIELD_ALIASES[f].includes(name)) || null;
+  }
+
+  // The fixed TRACK, POSTED, LIKES, REPOSTS, PLAYS, COMMENTS layout (an optional URL after it)
+  function positionalColumns(headerIndex) {
+    const mapping = {};
+    CANONICAL_HEADERS.forEach((f, i) => { mapping[f] = i; });
+    mapping.url = -1;
+    mapping.row_type = -1;
+    return { headerIndex, mapping, extras: [] };
+  }
+
+  // Work out which column holds which field from the first non-empty row. Returns
+  // { status, headerIndex, headers, mapping: { field: column index or -1 }, extras, missing }:
+  // - "auto": every stats field was matched by name or alias, in any order and case
+  // - "positional": no header row (the first row already looks like data), fixed layout
+  // - "unmapped": a header row that is not (fully) recognised; mapping holds what matched
+  //   and missing the fields still to assign (the app asks the user)
+  // extras are the remaining named columns, kept on each row as row.extra[key].
+  function detectColumns(rows) {
+    const headerIndex = (rows || []).findIndex(r => !allEmpty(r));
+    if (headerIndex < 0) return Object.assign(positionalColumns(-1), { status: "positional", headers: [], missing: [] });
+    const headers = rows[headerIndex].map(v => String(v || "").trim());
+    const columns = columnsFromMapping(headerIndex, headers, autoMapping(headers));
+    const missing = CANONICAL_HEADERS.filter(f => columns.mapping[f] < 0);
+    if (missing.length === 0) return Object.assign(columns, { status: "auto", headers, missing });
+
+    // Numbers where the counts would be: a headerless export in the usual order
+    const matched = MAPPED_FIELDS.some(f => columns.mapping[f] >= 0);
+    const looksLikeData = headers.slice(2, 6).some(v => v !== "" && Number.isFinite(parseNumber(v, false)));
+    if (!matched && looksLikeData) {
+      return Object.assign(positionalColumns(-1), { status: "positional", headers, missing: [] });
+    }
+    return Object.assign(columns, { status: "unmapped", headers, missing });
+  }
+
+  function autoMapping(headers) {
+    const mapping = {};
+    headers.forEach((h, i) => {
+      const field = fieldForHeader(h);
+      if (field && mapping[field] === undefined) mapping[field] = i;
+    });
+    return mapping;
+  }
+
+  // Column spec from a field -> index mapping (from detection or the mapping dialog).
+  // Unassigned named columns become extras with a stable key derived from the header.
+  function columnsFromMapping(headerIndex, headers, mappingIn) {
+    const mapping = {};
+    for (const f of MAPPED_FIELDS) {
+      const i = Number(mappingIn[f]);
+      mapping[f] = Number.isInteger(i) && i >= 0 ? i : -1;
+    }
+    const used = new Set(Object.values(mapping));
+    const extras = [];
+    const keys = new Set();
+    headers.forEach((label, index) => {
+      if (used.has(index) || !label) return;
+      let key = "x_" + (normalizeHeader(label) || index);
+      for (let n = 2; keys.has(key); n++) key = `x_${normalizeHeader(label) || index}_${n}`;
+      keys.add(key);
+      extras.push({ key, label, index });
+    });
+    return { headerIndex, mapping, extras };
+  }
+
   function allEmpty(fields) {
     if (!fields) return true;
     return fields.every(v => String(v || "").trim() === "");
   }
 
-  // CSV parser supporting quoted fields with commas and escaped quotes ("")
-  function parseCSV(text) {
+  const DELIMITERS = [",", ";", "\t"];
+  const DELIMITER_NAMES = { ",": "comma", ";": "semicolon", "\t": "tab" };
+
+  // Bytes of an uploaded file to text: a BOM decides (UTF-8, UTF-16 LE/BE), then UTF-16
+  // without BOM is recognised by its zero bytes, then strict UTF-8, else Windows-1252
+  // (what Excel writes for "CSV" on Western-European Windows).
+  function decodeBytes(buffer) {
+    const bytes = new Uint8Array(buffer);
+    const decode = (encoding, fatal) => new TextDecoder(encoding, { fatal }).decode(bytes);
+    if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) return { text: decode("utf-8"), encoding: "utf-8" };
+    if (bytes[0] === 0xFF && bytes[1] === 0xFE) return { text: decode("utf-16le"), encoding: "utf-16le" };
+    if (bytes[0] === 0xFE && bytes[1] === 0xFF) return { text: decode("utf-16be"), encoding: "utf-16be" };
+    const sample = bytes.subarray(0, 512);
+    let evenZeros = 0;
+    let oddZeros = 0;
+    sample.forEach((b, i) => {
+      if (b === 0) i % 2 ? oddZeros++ : evenZeros++;
+    });
+    if (sample.length >= 4 && oddZeros > sample.length / 4) return { text: decode("utf-16le"), encoding: "utf-16le" };
+    if (sample.length >= 4 && evenZeros > sample.length / 4) return { text: decode("utf-16be"), encoding: "utf-16be" };
+    try {
+      return { text: decode("utf-8", true), encoding: "utf-8" };
+    } catch (err) {
+      return { text: decode("windows-1252"), encoding: "windows-1252" };
+    }
+  }
+
+  // Pick the delimiter that splits the first lines into the same number of fields most
+  // consistently (separators inside quotes don't count). Ties go to comma, then semicolon.
+  function detectDelimiter(text) {
+    const lines = [];
+    let line = "";
+    let inQuotes = false;
+    for (let i = 0; i < text.length && lines.length < 20; i++) {
+      const c = text[i];
+      if (c === '"') inQuotes = !inQuotes;
+      if (c === "\n" && !inQuotes) {
+        if (line.trim()) lines.push(line);
+        line = "";
+      } else if (!inQuotes && c !== '"') {
+        line += c;
+      }
+    }
+    if (line.trim() && lines.length < 20) lines.push(line);
+
+    let best = ",";
+    let bestScore = 0;
+    for (const d of DELIMITERS) {
+      const counts = lines.map(l => l.split(d).length - 1);
+      const freq = {};
+      for (const n of counts) if (n > 0) freq[n] = (freq[n] || 0) + 1;
+      const score = Math.max(0, ...Object.values(freq));
+      if (score > bestScore) {
+        best = d;
+        bestScore = score;
+      }
+    }
+    return best;
+  }
+
+  // CSV parser supporting quoted fields with delimiters and escaped quotes ("").
+  // delimiter: ",", ";" or "\t"; omitted or "auto" = detectDelimiter. A leading BOM is dropped.
+  function parseCSV(text, delimiter) {
+    if (text.charCodeAt(0) === 0xFEFF) text = text.slice(1);
+    const sep = DELIMITERS.includes(delimiter) ? delimiter : detectDelimiter(text);
     const rows = [];
     let row = [];
     let field = "";
@@ -52,7 +216,7 @@
       } else {
         if (c === '"') {
           inQuotes = true;
-        } else if (c === ",") {
+        } else if (c === sep) {
           row.push(field);
           field = "";
         } else if (c === "\r") {
@@ -79,11 +243,44 @@
     return rows;
   }
 
+  const NUMBER_SUFFIXES = { k: 1e3, m: 1e6, b: 1e9 };
+  const NUMBER_FORMATS = ["point", "comma"];
+
+  // Which separator is the decimal one in a file's count columns. Counts are whole numbers,
+  // so a separator followed by exactly three digits (no suffix) groups thousands, while one
+  // followed by one or two digits, or before a K/M/B suffix, is a decimal mark. When both
+  // appear the last one is the decimal mark. "point" (1,234.5) unless the votes say "comma".
+  function detectNumberFormat(values) {
+    let point = 0;
+    let comma = 0;
+    for (const raw of values) {
+      const v = String(raw || "").trim().replace(/[\s\u00a0\u202f']/g, "");
+      const m = v.match(/^-?[\d.,]*\d([kmb]?)$/i);
+      if (!m) continue;
+      const suffix = m[1] !== "";
+      const lastDot = v.lastIndexOf(".");
+      const lastComma = v.lastIndexOf(",");
+      if (lastDot >= 0 && lastComma >= 0) {
+        lastComma > lastDot ? comma++ : point++;
+        continue;
+      }
+      const sepIndex = Math.max(lastDot, lastComma);
+      if (sepIndex < 0) continue;
+      const digitsAfter = v.slice(sepIndex + 1).replace(/[kmb]$/i, "").length;
+      const decimal = suffix || digitsAfter !== 3;
+      const isComma = lastComma >= 0;
+      if (decimal === isComma) comma++;
+      else point++;
+    }
+    return comma > point ? "comma" : "point";
+  }
+
   // Parse numeric strings with support for:
-  // - quoted numbers with commas "2,475"
-  // - k or K suffix (with decimals): 14.2K => 14200
+  // - thousands separators: "2,475", "2 475", "2'475"; "2.475" with numberFormat "comma"
+  // - decimal commas with numberFormat "comma": "14,2K"
+  // - k/K, m/M and b/B suffixes (with decimals): 14.2K => 14200, 1.2M => 1200000, 3B
   // - empty strings and invalid tokens
-  function parseNumber(value, missingAsZero = true, quality, fieldName) {
+  function parseNumber(value, missingAsZero = true, quality, fieldName, numberFormat = "point") {
     const q = quality || { invalid_fields: [] };
     if (value === null || value === undefined) {
       if (!missingAsZero) return null;
@@ -96,65 +293,182 @@
       q.invalid_fields.push(fieldName);
       return 0;
     }
-    // handle non-numeric tokens like "Repost"
-    const token = v.toLowerCase();
-    // Remove commas
-    v = v.replace(/,/g, "");
-    // Handle K suffix
-    const kMatch = v.match(/^(-?\d+(\.\d+)?)\s*[kK]$/);
-    if (kMatch) {
-      const num = parseFloat(kMatch[1]);
-      if (isFinite(num)) {
-        return Math.round(num * 1000);
-      }
-      if (!missingAsZero) return null;
-      q.invalid_fields.push(fieldName);
-      return 0;
+    // Drop group separators, then make the decimal mark a point
+    const [group, decimal] = numberFormat === "comma" ? [".", ","] : [",", "."];
+    v = v.split(group).join("").replace(/[\s\u00a0\u202f']/g, "").replace(decimal, ".");
+    // Handle K/M/B suffix
+    const sMatch = v.match(/^(-?\d+(\.\d+)?)([kKmMbB])$/);
+    if (sMatch) {
+      return Math.round(parseFloat(sMatch[1]) * NUMBER_SUFFIXES[sMatch[3].toLowerCase()]);
     }
     // Regular number
     const num = Number(v);
     if (Number.isFinite(num)) {
       return Math.round(num);
     }
-    // Fallback for tokens
+    // Fallback for non-numeric tokens like "Repost"
     if (!missingAsZero) return null;
     q.invalid_fields.push(fieldName);
     return 0;
   }
 
-  // Parse relative date strings like "8 days ago", "6 months ago", "1 year ago", "2 weeks ago"
-  // Returns { iso: string|null, days: number|null }
-  function parseRelativeDate(s) {
-    if (!s) return { iso: null, days: null };
-    const str = String(s).trim().toLowerCase();
-    const re = /^(\d+)\s+(day|days|week|weeks|month|months|year|years)\s+ago$/i;
-    const m = str.match(re);
-    if (!m) {
-      return { iso: null, days: null };
-    }
-    const n = parseInt(m[1], 10);
-    const unit = m[2];
-    const now = new Date();
-
-    let days = 0;
-    if (unit.startsWith("day")) {
-      days = n;
-    } else if (unit.startsWith("week")) {
-      days = n * 7;
-    } else if (unit.startsWith("month")) {
-      // Approximate months as 30 days
-      days = n * 30;
-    } else if (unit.startsWith("year")) {
-      // Approximate years as 365 days
-      days = n * 365;
+  // Resolve the "as-of" anchor for relative dates: Date, "YYYY-MM-DD" string, or now.
+  function toAnchorDate(asOf) {
+    if (asOf instanceof Date && !isNaN(asOf)) return new Date(asOf.getFullYear(), asOf.getMonth(), asOf.getDate());
+    if (typeof asOf === "string") {
+      const m = asOf.trim().match(/^(\d{4})-(\d{2})-(\d{2})/);
+      if (m) return new Date(parseInt(m[1], 10), parseInt(m[2], 10) - 1, parseInt(m[3], 10));
     }
+    return new Date();
+  }
+
+  const MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  function toISODay(d) {
+    return new Date(Date.UTC(d.getFullYear(), d.getMonth(), d.getDate())).toISOString().slice(0, 10);
+  }
+
+  // Build a local date, rejecting impossible values (e.g. 31/02/2025)
+  function makeDate(y, m, d) {
+    if (!(m >= 1 && m <= 12 && d >= 1 && d <= 31)) return null;
+    const date = new Date(y, m - 1, d);
+    if (date.getFullYear() !== y || date.getMonth() !== m - 1 || date.getDate() !== d) return null;
+    return date;
+  }
 
+  function monthIndex(name) {
+    const idx = MONTHS.indexOf(String(name).slice(0, 3).toLowerCase());
+    return idx === -1 ? null : idx + 1;
+  }
+
+  // Absolute date forms: 2025-08-21 (optionally with time), 21/08/2025 (also - or .),
+  // "August 21, 2025", "Aug 21 2025" and "21 August 2025"
+  function parseAbsoluteDate(str) {
+    let m = str.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:[t\s].*)?$/);
+    if (m) return makeDate(parseInt(m[1], 10), parseInt(m[2], 10), parseInt(m[3], 10));
+    m = str.match(/^(\d{1,2})[\/.\-](\d{1,2})[\/.\-](\d{4})$/);
+    if (m) return makeDate(parseInt(m[3], 10), parseInt(m[2], 10), parseInt(m[1], 10));
+    m = str.match(/^([a-z]{3,9})\.?\s+(\d{1,2})(?:st|nd|rd|th)?,?\s+(\d{4})$/);
+    if (m && monthIndex(m[1])) return makeDate(parseInt(m[3], 10), monthIndex(m[1]), parseInt(m[2], 10));
+    m = str.match(/^(\d{1,2})(?:st|nd|rd|th)?\s+([a-z]{3,9})\.?,?\s+(\d{4})$/);
+    if (m && monthIndex(m[2])) return makeDate(parseInt(m[3], 10), monthIndex(m[2]), parseInt(m[1], 10));
+    return null;
+  }
+
+  // Extra days a coarse label may cover beyond its nominal value:
+  // "2 years ago" = 730..1094 days, "3 weeks ago" = 21..27 days
+  const PRECISION_SPAN = { day: 0, week: 6, month: 29, year: 364 };
+
+  function daysBefore(now, days) {
     const then = new Date(now);
     then.setDate(now.getDate() - days);
+    return then;
+  }
+
+  function datedResult(now, days, precision) {
+    return {
+      iso: toISODay(daysBefore(now, days)),
+      days,
+      precision,
+      minDays: days,
+      maxDays: days + PRECISION_SPAN[precision],
+    };
+  }
+
+  // Parse POSTED values measured back from asOf (defaults to now):
+  // - relative: "8 days ago", "6 months ago", "a month ago", "an hour ago", "5 minutes ago"
+  // - keywords: "today", "just now", "yesterday"
+  // - absolute: ISO, DD/MM/YYYY, "Month D, YYYY"
+  // Returns { iso, days, precision, minDays, maxDays } (all null when unparsable).
+  // precision is the label's granularity (day|week|month|year) and minDays..maxDays
+  // the range of ages the label can stand for; days is the nominal value.
+  function parseRelativeDate(s, asOf) {
+    const none = { iso: null, days: null, precision: null, minDays: null, maxDays: null };
+    if (!s) return none;
+    const str = String(s).trim().toLowerCase().replace(/\s+/g, " ");
+    const now = toAnchorDate(asOf);
+
+    if (str === "today" || str === "just now") {
+      return datedResult(now, 0, "day");
+    }
+    if (str === "yesterday") {
+      return datedResult(now, 1, "day");
+    }
+
+    const re = /^(\d+|an?|one)\s+(second|minute|min|hour|day|week|month|year)s?\s+ago$/;
+    const m = str.match(re);
+    if (m) {
+      const n = /^\d+$/.test(m[1]) ? parseInt(m[1], 10) : 1;
+      const unit = m[2];
+
+      if (unit === "second" || unit === "minute" || unit === "min") {
+        return datedResult(now, 0, "day");
+      } else if (unit === "hour") {
+        return datedResult(now, Math.floor(n / 24), "day");
+      } else if (unit === "day") {
+        return datedResult(now, n, "day");
+      } else if (unit === "week") {
+        return datedResult(now, n * 7, "week");
+      } else if (unit === "month") {
+        // Approximate months as 30 days
+        return datedResult(now, n * 30, "month");
+      }
+      // Approximate years as 365 days
+      return datedResult(now, n * 365, "year");
+    }
+
+    const abs = parseAbsoluteDate(str);
+    if (abs) {
+      // Dates after the as-of day count as 0 days old
+      const days = Math.max(0, Math.round((now - abs) / DAY_MS));
+      return { iso: toISODay(abs), days, precision: "day", minDays: days, maxDays: days };
+    }
+
+    return none;
+  }
+
+  // Pick the age used for days_since_upload/plays_per_day from a parsed POSTED value:
+  // "nominal" = the label as written, "midpoint" = middle of the interval,
+  // "conservative" = oldest possible age (lowest plays per day)
+  function resolvePostedDays(posted, basis) {
+    if (!Number.isFinite(posted.days)) return null;
+    if (basis === "midpoint") return Math.round((posted.minDays + posted.maxDays) / 2);
+    if (basis === "conservative") return posted.maxDays;
+    return posted.days;
+  }
+
+  // Normalize a track title for matching: lowercase, strip punctuation and extra spaces
+  function normalizeTitle(s) {
+    return String(s || "")
+      .toLowerCase()
+      .normalize("NFKD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .replace(/[^a-z0-9]+/g, " ")
+      .trim();
+  }
 
-    // Normalize to YYYY-MM-DD
-    const iso = new Date(Date.UTC(then.getFullYear(), then.getMonth(), then.getDate())).toISOString().slice(0, 10);
-    return { iso, days };
+  // Dice coefficient on character bigrams of normalized titles (0..1)
+  function titleSimilarity(a, b) {
+    const x = normalizeTitle(a).replace(/ /g, "");
+    const y = normalizeTitle(b).replace(/ /g, "");
+    if (x === y) return 1;
+    if (x.length < 2 || y.length < 2) return 0;
+    const grams = new Map();
+    for (let i = 0; i < x.length - 1; i++) {
+      const g = x.slice(i, i + 2);
+      grams.set(g, (grams.get(g) || 0) + 1);
+    }
+    let hits = 0;
+    for (let i = 0; i < y.length - 1; i++) {
+      const g = y.slice(i, i + 2);
+      const c = grams.get(g) || 0;
+      if (c > 0) {
+        grams.set(g, c - 1);
+        hits++;
+      }
+    }
+    return (2 * hits) / (x.length + y.length - 2);
   }
 
   function median(values) {
@@ -165,7 +479,7 @@
       return (arr[mid - 1] + arr[mid]) / 2;
     }
     return arr[mid];
-    }
+  }
 
   function quantiles(values) {
     const arr = values.filter(Number.isFinite).slice().sort((a, b) => a - b);
@@ -179,21 +493,455 @@
     return { Q1: q(0.25), Q2: q(0.5), Q3: q(0.75) };
   }
 
-  function computeCategory(plr, likes, thresholds) {
-    if (!Number.isFinite(plr)) return "Poor";
-    if (likes === 0) return "Poor";
-    const { Q1, Q2, Q3 } = thresholds;
+  function meanSd(values) {
+    const arr = values.filter(Number.isFinite);
+    if (arr.length === 0) return { mean: null, sd: null };
+    const mean = arr.reduce((a, b) => a + b, 0) / arr.length;
+    const variance = arr.reduce((a, b) => a + (b - mean) * (b - mean), 0) / arr.length;
+    return { mean, sd: Math.sqrt(variance) };
+  }
+
+  // Least-squares fit y = a + b*x; slope is 0 when x has no spread (e.g. every row "1 year ago")
+  function linearFit(xs, ys) {
+    const n = xs.length;
+    if (n === 0) return null;
+    const mx = xs.reduce((a, b) => a + b, 0) / n;
+    const my = ys.reduce((a, b) => a + b, 0) / n;
+    let sxx = 0, sxy = 0;
+    for (let i = 0; i < n; i++) {
+      sxx += (xs[i] - mx) * (xs[i] - mx);
+      sxy += (xs[i] - mx) * (ys[i] - my);
+    }
+    const b = sxx > 0 ? sxy / sxx : 0;
+    return { a: my - b * mx, b, n };
+  }
+
+  const MIN_TREND_ROWS = 3;
+
+  // Power-law trend y = 10^a * x^b: least squares on log10(x), log10(y) over rows where both
+  // are positive. Residuals are in log10 units (0.3 ~ twice the trend); z divides by their sd.
+  // Returns { a, b, r2, n, residuals: [{ row, residual, z }] } or null when too few rows.
+  function logLogTrend(rows, xKey, yKey) {
+    const usable = rows.filter(r => Number.isFinite(r[xKey]) && Number.isFinite(r[yKey]) && r[xKey] > 0 && r[yKey] > 0);
+    if (usable.length < MIN_TREND_ROWS) return null;
+    const xs = usable.map(r => Math.log10(r[xKey]));
+    const ys = usable.map(r => Math.log10(r[yKey]));
+    const fit = linearFit(xs, ys);
+    const my = ys.reduce((acc, v) => acc + v, 0) / ys.length;
+    const res = ys.map((y, i) => y - (fit.a + fit.b * xs[i]));
+    const ssRes = res.reduce((acc, v) => acc + v * v, 0);
+    const ssTot = ys.reduce((acc, y) => acc + (y - my) * (y - my), 0);
+    const sd = Math.sqrt(ssRes / Math.max(1, usable.length - 2));
+    return {
+      a: fit.a,
+      b: fit.b,
+      r2: ssTot > 0 ? 1 - ssRes / ssTot : null,
+      n: usable.length,
+      residuals: usable.map((row, i) => ({ row, residual: res[i], z: sd > 0 ? res[i] / sd : 0 })),
+    };
+  }
+
+  const MIN_AGE_MODEL_ROWS = 3;
+
+  // Age expectation model for one artist's catalogue: log(plays+1) and log(likes+1)
+  // regressed on log(days+1). Returns null when too few dated rows.
+  function fitAgeModel(data) {
+    const dated = data.filter(d => Number.isFinite(d.days_since_upload));
+    if (dated.length < MIN_AGE_MODEL_ROWS) return null;
+    const xs = dated.map(d => Math.log1p(d.days_since_upload));
+    return {
+      plays: linearFit(xs, dated.map(d => Math.log1p(d.plays))),
+      likes: linearFit(xs, dated.map(d => Math.log1p(d.likes))),
+    };
+  }
+
+  // Expected plays/likes for each row's age and the over/under-performance vs expected:
+  // age_performance_pct = (geometric mean of actual/expected for plays and likes - 1) * 100
+  // model: fit elsewhere (excluded reposts are measured against the uploads' model)
+  function assignAgePerformance(data, model = fitAgeModel(data)) {
+    for (const d of data) {
+      if (!model || !Number.isFinite(d.days_since_upload)) {
+        d.expected_plays = null;
+        d.expected_likes = null;
+        d.age_performance_pct = null;
+        continue;
+      }
+      const x = Math.log1p(d.days_since_upload);
+      const ePlays = model.plays.a + model.plays.b * x;
+      const eLikes = model.likes.a + model.likes.b * x;
+      d.expected_plays = Math.expm1(ePlays);
+      d.expected_likes = Math.expm1(eLikes);
+      const residual = ((Math.log1p(d.plays) - ePlays) + (Math.log1p(d.likes) - eLikes)) / 2;
+      d.age_performance_pct = Math.expm1(residual) * 100;
+    }
+    return model;
+  }
+
+  const DEFAULT_PLR_THRESHOLDS = { excellent: 10, good: 15, average: 25 };
+  const DEFAULT_COMPOSITE_WEIGHTS = { play_like_ratio: 1, engagement_rate_pct: 1, like_pct: 1, plays_per_day: 1 };
+
+  // Category modes: the metric being banded and whether a lower value is better.
+  // Cut points Q1/Q2/Q3 are computed per mode in categoryThresholds().
+  const CATEGORY_MODES = {
+    quantile: { metric: "play_like_ratio", lowerIsBetter: true },
+    fixed: { metric: "play_like_ratio", lowerIsBetter: true },
+    zscore: { metric: "play_like_ratio", lowerIsBetter: true },
+    engagement: { metric: "engagement_rate_pct", lowerIsBetter: false },
+    plays_per_day: { metric: "plays_per_day", lowerIsBetter: false },
+    age: { metric: "age_performance_pct", lowerIsBetter: false },
+    composite: { metric: "composite_score", lowerIsBetter: false },
+  };
+
+  // Composite inputs as "higher is better" values; PLR and plays/day are log-scaled
+  // because both are heavily skewed
+  function compositeInputs(d) {
+    const plr = d.play_like_ratio;
+    return {
+      play_like_ratio: plr === Infinity ? -Infinity : (plr > 0 ? -Math.log(plr) : null),
+      engagement_rate_pct: d.engagement_rate_pct,
+      like_pct: d.like_pct,
+      plays_per_day: Number.isFinite(d.plays_per_day) ? Math.log1p(d.plays_per_day) : null,
+    };
+  }
+
+  // Weighted mean of per-metric z-scores. Missing inputs are skipped; zero-like
+  // tracks (infinite PLR) get the worst observed PLR z-score.
+  // reference: the rows the z-scores are standardised on (default: the rows themselves)
+  function assignCompositeScores(data, weights, reference = data) {
+    const inputs = data.map(compositeInputs);
+    const refInputs = reference === data ? inputs : reference.map(compositeInputs);
+    const stats = {};
+    for (const key of Object.keys(weights)) {
+      stats[key] = meanSd(refInputs.map(i => i[key]));
+      const zs = refInputs.map(i => i[key]).filter(Number.isFinite).map(v => zscore(v, stats[key]));
+      stats[key].worst = zs.length ? Math.min(...zs) : 0;
+    }
+    data.forEach((d, idx) => {
+      let sum = 0, wsum = 0;
+      for (const [key, w] of Object.entries(weights)) {
+        const weight = Number(w) || 0;
+        if (weight <= 0 || stats[key].mean === null) continue;
+        const v = inputs[idx][key];
+        let z;
+        if (v === -Infinity) z = stats[key].worst;
+        else if (Number.isFinite(v)) z = zscore(v, stats[key]);
+        else continue;
+        sum += weight * z;
+        wsum += weight;
+      }
+      d.composite_score = wsum > 0 ? sum / wsum : null;
+    });
+  }
+
+  function zscore(v, { mean, sd }) {
+    return sd > 0 ? (v - mean) / sd : 0;
+  }
+
+  // Cut points for the selected category mode
+  function categoryThresholds(data, options) {
+    const mode = CATEGORY_MODES[options.categoryMode] ? options.categoryMode : "quantile";
+    const { metric, lowerIsBetter } = CATEGORY_MODES[mode];
+    const values = data.map(d => d[metric]).filter(Number.isFinite);
+    let cuts;
+    if (mode === "fixed") {
+      const t = Object.assign({}, DEFAULT_PLR_THRESHOLDS, options.plrThresholds || {});
+      cuts = { Q1: Number(t.excellent), Q2: Number(t.good), Q3: Number(t.average) };
+    } else if (mode === "zscore") {
+      // Bands at mean ± 1 SD of log(PLR), mapped back to PLR values
+      const { mean, sd } = meanSd(values.filter(v => v > 0).map(Math.log));
+      cuts = mean === null
+        ? { Q1: null, Q2: null, Q3: null }
+        : { Q1: Math.exp(mean - sd), Q2: Math.exp(mean), Q3: Math.exp(mean + sd) };
+    } else if (mode === "composite") {
+      // Composite scores are already z-like: half-SD bands around the catalogue mean
+      cuts = values.length ? { Q1: -0.5, Q2: 0, Q3: 0.5 } : { Q1: null, Q2: null, Q3: null };
+    } else {
+      cuts = quantiles(values);
+    }
+    return Object.assign({ mode, metric, lowerIsBetter }, cuts);
+  }
+
+  function computeCategory(d, thresholds) {
+    const { metric, lowerIsBetter, Q1, Q2, Q3 } = thresholds;
+    const v = d[metric];
+    if (metric === "play_like_ratio") {
+      if (!Number.isFinite(v)) return "Poor";
+      if (d.likes === 0) return "Poor";
+    } else if (!Number.isFinite(v)) {
+      // Missing metric (e.g. unknown upload date): neutral
+      return "Average";
+    }
     if (Q1 === null) return "Average";
-    if (plr <= Q1) return "Excellent";
-    if (plr <= Q2) return "Good";
-    if (plr <= Q3) return "Average";
+    if (lowerIsBetter) {
+      if (v <= Q1) return "Excellent";
+      if (v <= Q2) return "Good";
+      if (v <= Q3) return "Average";
+      return "Poor";
+    }
+    if (v >= Q3) return "Excellent";
+    if (v >= Q2) return "Good";
+    if (v >= Q1) return "Average";
     return "Poor";
   }
 
-  function sanitizeRow(arr) {
-    const row = new Array(6);
-    for (let i = 0; i < 6; i++) row[i] = (arr[i] !== undefined) ? String(arr[i]) : "";
-    return row;
+  // Assign d.category (and d.composite_score in composite mode) on a set of rows.
+  // Returns the thresholds used: { mode, metric, lowerIsBetter, Q1, Q2, Q3 }.
+  function assignCategories(data, options) {
+    if (options.categoryMode === "composite") {
+      assignCompositeScores(data, Object.assign({}, DEFAULT_COMPOSITE_WEIGHTS, options.compositeWeights || {}));
+    } else {
+      for (const d of data) d.composite_score = null;
+    }
+    const thresholds = categoryThresholds(data, options);
+    for (const d of data) {
+      d.category = computeCategory(d, thresholds);
+    }
+    return thresholds;
+  }
+
+  // Band rows that took no part in the cut points (excluded reposts) against another set's
+  function assignCategoriesAgainst(data, reference, thresholds, options) {
+    if (options.categoryMode === "composite") {
+      assignCompositeScores(data, Object.assign({}, DEFAULT_COMPOSITE_WEIGHTS, options.compositeWeights || {}), reference);
+    } else {
+      for (const d of data) d.composite_score = null;
+    }
+    for (const d of data) d.category = computeCategory(d, thresholds);
+  }
+
+  // Another artist's track reposted on this page: a row type column (ROW_TYPE, TYPE, REPOSTED…)
+  // saying "repost" (or yes/true/1), or a POSTED label such as "Reposted 3 days ago" as the page
+  // importer writes it. A "Repost" caption in a count column is only SoundCloud's label for
+  // zero reposts and says nothing about the row.
+  function isRepostRow(cells, typeCell) {
+    if (/^(repost(ed)?|yes|true|1)$/i.test(String(typeCell || "").trim())) return true;
+    return /^\s*reposted\b/i.test(String(cells[1] || ""));
+  }
+
+  // Rows that count in totals, categories and charts: reposts only when included
+  function countedRows(rows, options) {
+    if ((options || {}).reposts === "include") return rows;
+    return rows.filter(d => d.row_type !== "repost");
+  }
+
+  // Title credit rules. Separators are plain tokens; word tokens (x, vs, and) must be
+  // surrounded by spaces, symbol tokens (&, +, ",") may touch the names.
+  const DEFAULT_ARTIST_RULES = {
+    titleSeparators: ["-", "–", "—", "|", "@", "/"], // first one splits "Artists - Title"
+    collabSeparators: ["&", ",", "+", "x", "vs", "vs.", "and"],
+    featMarkers: ["feat.", "feat", "ft.", "ft", "featuring"],
+    remixKeywords: ["remix", "rmx", "edit", "rework", "bootleg", "flip", "vip"],
+    stripLeadingNumbers: true, // "7 - Artist - Title", "12 Artist - Title"
+    overrides: [], // [{ match: "title substring", artists: ["A", "B"] }]
+  };
+
+  // Words that precede a remix keyword without naming a remixer, e.g. "(Original Mix)"
+  const NON_REMIXER_WORDS = ["original", "extended", "radio", "club", "dub", "my", "the", "album", "single"];
+
+  function escapeRegExp(s) {
+    return String(s).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  }
+
+  function tokenPattern(tok) {
+    const esc = escapeRegExp(tok);
+    return /^[a-z0-9.]+$/i.test(tok) ? `\\s+${esc}\\s+` : `\\s*${esc}\\s*`;
+  }
+
+  function splitNames(text, rules) {
+    const seps = (rules.collabSeparators || []).filter(Boolean);
+    if (seps.length === 0) return [text.trim()].filter(Boolean);
+    const re = new RegExp(seps.map(tokenPattern).join("|"), "i");
+    return text.split(re).map(v => v.trim()).filter(Boolean);
+  }
+
+  function uniqueNames(names) {
+    const seen = new Set();
+    const out = [];
+    for (const n of names) {
+      const key = n.toLowerCase();
+      if (!seen.has(key)) {
+        seen.add(key);
+        out.push(n);
+      }
+    }
+    return out;
+  }
+
+  // Extract credits from a track title:
+  // "Okta & SaheL - Secrets of the Tumbleweed" => artists [Okta, SaheL]
+  // "X - Title (Y Remix)" => artists [X], remixers [Y]
+  // "X feat. Z - Title", "Title (feat. Z)", "Podcast #140 | with Z" => featured [Z]
+  // Returns { artists, featured, remixers }
+  function parseTitleCredits(title, rulesIn) {
+    const rules = Object.assign({}, DEFAULT_ARTIST_RULES, rulesIn || {});
+    let t = String(title || "").trim();
+    const remixers = [];
+    const featured = [];
+
+    if (rules.stripLeadingNumbers) {
+      t = t.replace(/^\d{1,2}(?:\s*[-.)]\s*|\s+)(?=\S)/, "");
+    }
+
+    // Bracketed remix credits: "(Y Remix)", "[Y & Z Edit]"
+    const kw = (rules.remixKeywords || []).filter(Boolean).map(escapeRegExp).join("|");
+    if (kw) {
+      const remixRe = new RegExp(`^(.+?)\\s+(?:${kw})\\b`, "i");
+      t = t.replace(/[([]([^()[\]]+)[)\]]/g, (whole, inner) => {
+        const m = inner.trim().match(remixRe);
+        if (!m || NON_REMIXER_WORDS.includes(m[1].trim().toLowerCase())) return whole;
+        remixers.push(...splitNames(m[1], rules));
+        return " ";
+      });
+    }
+
+    // Guests: "(feat. Z)", "feat. Z" up to the next separator/bracket, "| with Z", "(with Z)"
+    const feat = (rules.featMarkers || []).filter(Boolean).map(escapeRegExp).join("|");
+    if (feat) {
+      t = t.replace(new RegExp(`[([]\\s*(?:${feat})\\s+([^()[\\]]+)[)\\]]`, "gi"), (_, names) => {
+        featured.push(...splitNames(names, rules));
+        return " ";
+      });
+      t = t.replace(new RegExp(`(?:^|\\s)(?:${feat})\\s+(.+?)(?=\\s+[-–—|]\\s|[()[\\]]|$)`, "gi"), (_, names) => {
+        featured.push(...splitNames(names, rules));
+        return " ";
+      });
+    }
+    t = t.replace(/[|([]\s*with\s+([^|()[\]]+)[)\]]?/gi, (_, names) => {
+      featured.push(...splitNames(names, rules));
+      return " ";
+    });
+    t = t.replace(/\s+/g, " ").trim();
+
+    let artists = [];
+    const lowerTitle = String(title || "").toLowerCase();
+    const override = (rules.overrides || []).find(o => o && o.match && lowerTitle.includes(String(o.match).toLowerCase()));
+    if (override) {
+      artists = (override.artists || []).map(a => String(a).trim()).filter(Boolean);
+    } else {
+      const seps = (rules.titleSeparators || []).filter(Boolean);
+      if (seps.length) {
+        // At least one side of the separator must be whitespace: "A -Title" but not "Jean-Michel"
+        const sepRe = new RegExp(seps.map(tok => {
+          const esc = escapeRegExp(tok);
+          return `\\s+${esc}\\s*|\\s*${esc}\\s+`;
+        }).join("|"));
+        const m = t.match(sepRe);
+        if (m && m.index > 0) artists = splitNames(t.slice(0, m.index), rules);
+      }
+    }
+
+    return {
+      artists: uniqueNames(artists),
+      featured: uniqueNames(featured),
+      remixers: uniqueNames(remixers),
+    };
+  }
+
+  // Content types in priority order: the first type with a matching keyword wins,
+  // anything unmatched is "original". Keywords match as whole words, case-insensitive.
+  const CONTENT_TYPES = ["premiere", "live", "podcast", "remix", "edit", "original"];
+  const DEFAULT_TYPE_RULES = {
+    premiere: ["premiere"],
+    live: ["live", "live set", "festival", "@"],
+    podcast: ["podcast", "minimix", "dj mix", "mixtape", "set", "series", "episode", "ep.", "radio show", "mix #", "mix vol"],
+    remix: ["remix", "rmx", "rework", "bootleg", "flip", "vip"],
+    edit: ["edit", "re-edit"],
+  };
+
+  function keywordRegExp(keywords) {
+    const list = (keywords || []).map(k => String(k).trim()).filter(Boolean);
+    if (list.length === 0) return null;
+    return new RegExp(`(?<![a-z0-9])(?:${list.map(escapeRegExp).join("|")})(?![a-z0-9])`, "i");
+  }
+
+  // Classify a title as original | remix | edit | podcast | live | premiere.
+  // Parsed remixer credits also mark a remix.
+  function classifyContentType(title, rulesIn, credits) {
+    const rules = Object.assign({}, DEFAULT_TYPE_RULES, rulesIn || {});
+    const text = String(title || "");
+    for (const type of CONTENT_TYPES) {
+      if (type === "original") break;
+      if (type === "remix" && credits && credits.remixers && credits.remixers.length) return "remix";
+      const re = keywordRegExp(rules[type]);
+      if (re && re.test(text)) return type;
+    }
+    return "original";
+  }
+
+  // Per-artist rollup over rows; a row counts for every credited artist.
+  // fallback(row) names the artist when the title credits nobody.
+  function artistRollups(rows, fallback) {
+    const byKey = new Map();
+    for (const r of rows) {
+      let names = uniqueNames([...(r.artists || []), ...(r.featured || []), ...(r.remixers || [])]);
+      if (names.length === 0) names = [fallback ? fallback(r) : "Unknown"];
+      for (const name of names) {
+        const key = name.toLowerCase();
+        if (!byKey.has(key)) byKey.set(key, { key, names: new Map(), rows: [] });
+        const entry = byKey.get(key);
+        entry.names.set(name, (entry.names.get(name) || 0) + 1);
+        entry.rows.push(r);
+      }
+    }
+    return [...byKey.values()].map(e => {
+      // Most frequent spelling wins ("Okta" over "OKTA")
+      const name = [...e.names.entries()].sort((a, b) => b[1] - a[1])[0][0];
+      const totals = e.rows.reduce((acc, d) => {
+        acc.plays += d.plays || 0;
+        acc.likes += d.likes || 0;
+        acc.reposts += d.reposts || 0;
+        acc.comments += d.comments || 0;
+        return acc;
+      }, { plays: 0, likes: 0, reposts: 0, comments: 0 });
+      const eng = e.rows.map(d => d.engagement_rate_pct).filter(Number.isFinite);
+      return {
+        key: e.key,
+        name,
+        tracks: e.rows.length,
+        totals,
+        medianPLR: median(e.rows.map(d => d.play_like_ratio)),
+        avgEngagement: eng.length ? eng.reduce((a, b) => a + b, 0) / eng.length : 0,
+        rows: e.rows,
+      };
+    }).sort((a, b) => b.totals.plays - a.totals.plays);
+  }
+
+  // Link column: the first of the candidate cells that is a SoundCloud URL (soundcloud.com,
+  // its subdomains, or the snd.sc short links). Other URLs are ignored.
+  function trackUrl(cells, quality) {
+    for (const cell of cells) {
+      const v = String(cell || "").trim();
+      if (!/^https?:\/\//i.test(v)) continue;
+      try {
+        const host = new URL(v).hostname.toLowerCase();
+        if (host === "soundcloud.com" || host.endsWith(".soundcloud.com") || host === "snd.sc") return v;
+      } catch (e) {
+        // malformed URL, reported below
+      }
+      if (!quality.invalid_fields.includes("url")) quality.invalid_fields.push("url");
+    }
+    return null;
+  }
+
+  // The six stats cells in canonical order, read from wherever the columns put them
+  function sanitizeRow(arr, columns) {
+    return CANONICAL_HEADERS.map(f => {
+      const i = columns.mapping[f];
+      return (i >= 0 && arr[i] !== undefined) ? String(arr[i]) : "";
+    });
+  }
+
+  // Cells that may hold the track link: the mapped URL column, else any unmapped column
+  function urlCells(arr, columns) {
+    if (columns.mapping.url >= 0) return [arr[columns.mapping.url]];
+    if (columns.headerIndex < 0) return arr.slice(CANONICAL_HEADERS.length);
+    return columns.extras.map(x => arr[x.index]);
+  }
+
+  // A header row repeated further down (files pasted together): same cells as the header
+  function isRepeatedHeader(arr, columns, headers) {
+    if (columns.headerIndex < 0) return isHeaderRow(arr);
+    return headers.length > 0 && headers.every((h, i) => normalizeHeader(h) === normalizeHeader(arr[i]));
   }
 
   // Convert parsed CSV rows into normalized objects and compute metrics
@@ -202,32 +950,89 @@
       missingAsZero: true,
       showQuality: true,
       categoryMode: "quantile",
+      artistRules: DEFAULT_ARTIST_RULES, // title credit extraction (see parseTitleCredits)
+      typeRules: DEFAULT_TYPE_RULES, // content type keywords (see classifyContentType)
+      groupByType: false, // categorize within each content type instead of the whole catalogue
+      reposts: "exclude", // include | exclude repost rows from the age model, cut points and aggregates
+      asOf: null, // anchor date for relative POSTED values; null = now
+      dateBasis: "nominal", // nominal | midpoint | conservative (see resolvePostedDays)
+      plrThresholds: DEFAULT_PLR_THRESHOLDS, // "fixed" mode cut points
+      compositeWeights: DEFAULT_COMPOSITE_WEIGHTS, // "composite" mode weights
+      columns: null, // column spec (see detectColumns); null = detect, unrecognised headers read positionally
+      numberFormat: "auto", // point (1,234.5) | comma (1.234,5) | auto = detectNumberFormat on the counts
+      edits: null, // user corrections: { [source_line]: { track|posted|likes|reposts|plays|comments|row_type: text } }
     }, opts || {});
+    const columns = resolveColumns(rows, options.columns);
+    const headers = columns.headerIndex >= 0 ? rows[columns.headerIndex].map(v => String(v || "").trim()) : [];
+    const numberFormat = NUMBER_FORMATS.includes(options.numberFormat)
+      ? options.numberFormat
+      : detectNumberFormat(countCells(rows.slice(columns.headerIndex + 1), columns));
     const data = [];
+    const skipped = []; // rows left out: { source_line, reason, cells (the six stats cells) }
     let lineNo = 0;
 
     for (const r of rows) {
       lineNo++;
-      const row = sanitizeRow(r);
+      if (lineNo - 1 === columns.headerIndex) continue;
+      const row = sanitizeRow(r, columns);
+      const skip = (reason) => skipped.push({ source_line: lineNo, reason, cells: row });
+      if (lineNo - 1 < columns.headerIndex) {
+        if (!allEmpty(r)) skip("before_header");
+        continue;
+      }
+      // Corrections replace the file's cells before anything is read from them
+      const fix = options.edits && options.edits[lineNo];
+      const edited = fix ? [...CANONICAL_HEADERS, "row_type"].filter(f => fix[f] !== undefined) : [];
+      for (const f of edited) {
+        if (f !== "row_type") row[CANONICAL_HEADERS.indexOf(f)] = String(fix[f]);
+      }
 
-      if (isHeaderRow(row)) continue; // drop duplicate headers
-      if (allEmpty(row)) continue;
+      if (!edited.length && isRepeatedHeader(r, columns, headers)) {
+        skip("duplicate_header");
+        continue;
+      }
+      if (allEmpty(row)) {
+        skip("empty");
+        continue;
+      }
 
       const [track_raw, posted_raw, likes_raw, reposts_raw, plays_raw, comments_raw] = row;
-      const quality = { invalid_fields: [] };
+      const quality = { invalid_fields: [], warnings: [] };
 
       const title = String(track_raw || "").trim();
       if (!title) {
-        // skip rows with no track name
+        skip("no_title");
         continue;
       }
 
-      const { iso: posted_iso, days: days_since_upload } = parseRelativeDate(posted_raw);
+      // A row type set by hand overrides the file, the posted label included
+      const row_type = fix && fix.row_type !== undefined
+        ? (isRepostRow([], fix.row_type) ? "repost" : "upload")
+        : (isRepostRow(row, columns.mapping.row_type >= 0 ? r[columns.mapping.row_type] : "") ? "repost" : "upload");
+      const url = trackUrl(urlCells(r, columns), quality);
+      const extra = {};
+      for (const x of columns.extras) extra[x.key] = String(r[x.index] ?? "").trim();
+      const credits = parseTitleCredits(title, options.artistRules);
+      const content_type = classifyContentType(title, options.typeRules, credits);
+      const posted = parseRelativeDate(String(posted_raw).replace(/^\s*reposted\s+/i, ""), options.asOf);
+      if (posted.iso === null) quality.invalid_fields.push("posted");
+      const days_since_upload = resolvePostedDays(posted, options.dateBasis);
+      const posted_iso = days_since_upload === posted.days
+        ? posted.iso
+        : toISODay(daysBefore(toAnchorDate(options.asOf), days_since_upload));
 
-      const likes = parseNumber(likes_raw, options.missingAsZero, quality, "likes");
-      const reposts = parseNumber(reposts_raw, options.missingAsZero, quality, "reposts");
-      const plays = parseNumber(plays_raw, options.missingAsZero, quality, "plays");
-      const comments = parseNumber(comments_raw, options.missingAsZero, quality, "comments");
+      // A "Repost" caption is SoundCloud's label for zero reposts: coerced to 0 and flagged
+      // like any other non-numeric token
+      const count = (raw, field) => parseNumber(raw, options.missingAsZero, quality, field, numberFormat);
+      const likes = count(likes_raw, "likes");
+      const reposts = count(reposts_raw, "reposts");
+      const plays = count(plays_raw, "plays");
+      const comments = count(comments_raw, "comments");
+      // Parsed fine but unlikely to be right
+      for (const [field, value] of [["likes", likes], ["reposts", reposts], ["plays", plays], ["comments", comments]]) {
+        if (value < 0) quality.warnings.push(`negative_${field}`);
+      }
+      if (likes > plays) quality.warnings.push("likes_over_plays");
 
       // Metrics
       let play_like_ratio = null;
@@ -252,16 +1057,34 @@
         like_pct = 0;
       }
 
-      const dsu = Number.isFinite(days_since_upload) ? Math.max(1, days_since_upload) : 1;
-      const plays_per_day = plays / dsu;
+      // Unknown upload date: no meaningful per-day rate
+      const plays_per_day = Number.isFinite(days_since_upload) ? plays / Math.max(1, days_since_upload) : null;
+      // Range implied by the date precision: oldest age gives the lowest rate
+      const plays_per_day_min = Number.isFinite(posted.maxDays) ? plays / Math.max(1, posted.maxDays) : null;
+      const plays_per_day_max = Number.isFinite(posted.minDays) ? plays / Math.max(1, posted.minDays) : null;
 
       data.push({
         source_line: lineNo,
         track_raw,
         posted_raw,
+        likes_raw,
+        reposts_raw,
+        plays_raw,
+        comments_raw,
+        edited,
         title,
+        url,
+        artist: credits.artists[0] || null,
+        artists: credits.artists,
+        featured: credits.featured,
+        remixers: credits.remixers,
+        content_type,
+        row_type,
         posted_iso,
         days_since_upload: Number.isFinite(days_since_upload) ? days_since_upload : null,
+        date_precision: posted.precision,
+        days_min: posted.minDays,
+        days_max: posted.maxDays,
         likes,
         reposts,
         plays,
@@ -270,21 +1093,40 @@
         engagement_rate_pct,
         like_pct,
         plays_per_day,
+        plays_per_day_min,
+        plays_per_day_max,
         quality,
+        extra,
         category: "Average", // placeholder, assigned later
       });
     }
 
-    // Quantile thresholds on finite play_like_ratio only
-    const finitePLR = data.map(d => d.play_like_ratio).filter(Number.isFinite);
-    const thresholds = quantiles(finitePLR);
+    // Reposts say nothing about this artist's own catalogue: unless included they stay out of
+    // the age model, the category cut points and the aggregates, and are measured against them
+    const counted = countedRows(data, options);
+    const reposted = counted === data ? [] : data.filter(d => d.row_type === "repost");
 
-    for (const d of data) {
-      d.category = computeCategory(d.play_like_ratio, d.likes, thresholds);
+    // Age-adjusted expectations must exist before categorizing ("age" mode bands on them)
+    const ageModel = assignAgePerformance(counted);
+    assignAgePerformance(reposted, ageModel);
+
+    // Category thresholds per options.categoryMode (finite values of the banded metric only)
+    const thresholds = assignCategories(counted, options);
+    assignCategoriesAgainst(reposted, counted, thresholds, options);
+    // Optionally re-band within each content type (a podcast is compared with podcasts)
+    const thresholdsByType = {};
+    if (options.groupByType) {
+      for (const type of CONTENT_TYPES) {
+        const group = counted.filter(d => d.content_type === type);
+        if (!group.length) continue;
+        thresholdsByType[type] = assignCategories(group, options);
+        assignCategoriesAgainst(reposted.filter(d => d.content_type === type), group, thresholdsByType[type], options);
+      }
     }
+    const finitePLR = counted.map(d => d.play_like_ratio).filter(Number.isFinite);
 
     // Aggregates
-    const totals = data.reduce((acc, d) => {
+    const totals = counted.reduce((acc, d) => {
       acc.plays += d.plays;
       acc.likes += d.likes;
       acc.reposts += d.reposts;
@@ -293,7 +1135,7 @@
     }, { plays: 0, likes: 0, reposts: 0, comments: 0 });
 
     const avgEngagement = (() => {
-      const vals = data.map(d => d.engagement_rate_pct).filter(v => Number.isFinite(v));
+      const vals = counted.map(d => d.engagement_rate_pct).filter(v => Number.isFinite(v));
       if (vals.length === 0) return 0;
       return vals.reduce((a, b) => a + b, 0) / vals.length;
     })();
@@ -304,84 +1146,83 @@
       rows: data,
       totals,
       thresholds,
+      thresholdsByType,
       avgEngagement,
       medianPLR,
+      ageModel,
+      columns,
+      extraColumns: columns.extras.map(({ key, label }) => ({ key, label })),
+      numberFormat,
+      skipped,
+      excludedReposts: reposted.length,
     };
   }
 
+  // LIKES, REPOSTS, PLAYS and COMMENTS cells of the data rows
+  function countCells(rows, columns) {
+    const cells = [];
+    for (const r of rows) {
+      for (const f of ["likes", "reposts", "plays", "comments"]) {
+        const i = columns.mapping[f];
+        if (i >= 0 && r[i] !== undefined) cells.push(r[i]);
+      }
+    }
+    return cells;
+  }
+
+  // A saved spec wins; otherwise detect, falling back to the fixed layout when the headers
+  // are not recognised (the app offers the mapping dialog before it gets here)
+  function resolveColumns(rows, spec) {
+    if (spec && spec.mapping) {
+      const headerIndex = Number.isInteger(spec.headerIndex) ? spec.headerIndex : -1;
+      const headers = headerIndex >= 0 && rows[headerIndex] ? rows[headerIndex].map(v => String(v || "").trim()) : [];
+      return columnsFromMapping(headerIndex, headers, spec.mapping);
+    }
+    const detected = detectColumns(rows);
+    if (detected.status === "positional") return positionalColumns(-1);
+    const mapping = detected.status === "auto" ? detected.mapping : positionalColumns(-1).mapping;
+    return columnsFromMapping(detected.headerIndex, detected.headers, mapping);
+  }
+
   // High-level entry: parse raw CSV text to processed dataset
+  // options.delimiter: ",", ";" or "\t"; anything else = detectDelimiter
   function parseAndProcessCSV(text, options) {
-    const rows = parseCSV(text);
-    return processDataRows(rows, options);
-  }
-
-  // Create CSV string from processed dataset (including derived metrics)
-  function toCSV(dataset) {
-    const header = [
-      "TRACK",
-      "POSTED_ISO",
-      "DAYS",
-      "PLAYS",
-      "LIKES",
-      "REPOSTS",
-      "COMMENTS",
-      "PLAY_LIKE_RATIO",
-      "ENGAGEMENT_RATE_PCT",
-      "LIKE_PCT",
-      "PLAYS_PER_DAY",
-      "CATEGORY"
-    ];
-    const lines = [header.join(",")];
-    for (const d of dataset.rows) {
-      const cells = [
-        escapeCSV(d.title),
-        d.posted_iso || "",
-        valueOrEmpty(d.days_since_upload),
-        valueOrEmpty(d.plays),
-        valueOrEmpty(d.likes),
-        valueOrEmpty(d.reposts),
-        valueOrEmpty(d.comments),
-        finiteOrEmpty(d.play_like_ratio),
-        round2(d.engagement_rate_pct),
-        round2(d.like_pct),
-        round2(d.plays_per_day),
-        d.category
-      ];
-      lines.push(cells.join(","));
-    }
-    return lines.join("\n");
-  }
-
-  function escapeCSV(s) {
-    const str = String(s ?? "");
-    if (/[",\n]/.test(str)) {
-      return '"' + str.replace(/"/g, '""') + '"';
-    }
-    return str;
-  }
-
-  function round2(v) {
-    if (!Number.isFinite(v)) return "";
-    return (Math.round(v * 100) / 100).toFixed(2);
-  }
-
-  function finiteOrEmpty(v) {
-    if (!Number.isFinite(v)) return "";
-    return String(v);
-  }
-
-  function valueOrEmpty(v) {
-    if (v === null || v === undefined) return "";
-    return String(v);
+    const clean = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+    const wanted = (options || {}).delimiter;
+    const delimiter = DELIMITERS.includes(wanted) ? wanted : detectDelimiter(clean);
+    const rows = parseCSV(clean, delimiter);
+    return Object.assign(processDataRows(rows, options), { delimiter });
   }
 
   // Expose API
   window.Parser = {
     parseCSV,
+    decodeBytes,
+    detectDelimiter,
+    detectNumberFormat,
+    NUMBER_FORMATS,
+    DELIMITER_NAMES,
+    detectColumns,
+    columnsFromMapping,
     parseNumber,
     parseRelativeDate,
+    normalizeTitle,
+    titleSimilarity,
+    median,
+    countedRows,
     processDataRows,
     parseAndProcessCSV,
-    toCSV,
+    parseTitleCredits,
+    classifyContentType,
+    artistRollups,
+    assignCategories,
+    logLogTrend,
+    DEFAULT_PLR_THRESHOLDS,
+    DEFAULT_COMPOSITE_WEIGHTS,
+    DEFAULT_ARTIST_RULES,
+    DEFAULT_TYPE_RULES,
+    CONTENT_TYPES,
+    CANONICAL_HEADERS,
+    MAPPED_FIELDS,
   };
 })();
\ No newline at end of file
@@ -0,0 +1,141 @@
+/* SoundCloud Analyser - Artist report
+   Handles:
+   - Print-ready report for one dataset: KPIs, category distribution, highlights,
+     static chart images, data quality appendix and category/metric definitions
+   - Layout only: the app gathers the numbers (see generateReport in app.js)
+   Styling lives in styles.css (.report, plus the print stylesheet).
+*/
+
+(function () {
+  'use strict';
+
+  // How each category mode bands tracks (kept in step with the README "Category modes")
+  const MODE_DEFINITIONS = {
+    quantile: 'Play/Like quartiles of this catalogue: each category holds about a quarter of the tracks.',
+    fixed: 'Fixed Play/Like thresholds: Excellent up to Q1, Good up to Q2, Average up to Q3, else Poor.',
+    zscore: 'Bands at the mean ± 1 standard deviation of log(Play/Like).',
+    engagement: 'Engagement % quartiles, higher is better. Tracks without the metric are Average.',
+    plays_per_day: 'Plays/day quartiles, higher is better. Tracks with an unknown upload date are Average.',
+    age: 'Quartiles of performance against the plays expected for a track of that age, higher is better.',
+    composite: 'Weighted mean of z-scores of −log(Play/Like), Engagement %, Like % and log(1 + Plays/day). Excellent ≥ +0.5, Good ≥ 0, Average ≥ −0.5, else Poor.',
+  };
+
+  const METRIC_DEFINITIONS = [
+    ['Play/Like ratio', 'plays ÷ likes. Lower is better (fewer plays per like). Tracks with plays but no likes are Poor in Play/Like modes.'],
+    ['Engagement %', '(likes + reposts + comments) ÷ plays × 100.'],
+    ['Like %', 'likes ÷ plays × 100.'],
+    ['Plays/day', 'plays ÷ days since upload (empty when the upload date is unknown).'],
+    ['vs Expected %', 'plays compared with the catalogue trend for tracks of the same age.'],
+  ];
+
+  function el(tag, className, text) {
+    const node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text !== undefined && text !== null) node.textContent = text;
+    return node;
+  }
+
+  // pageBreak: start on a new printed page
+  function section(title, pageBreak) {
+    const s = el('section', pageBreak ? 'report-section report-break' : 'report-section');
+    s.appendChild(el('h2', null, title));
+    return s;
+  }
+
+  function table(headers, rows) {
+    const t = el('table', 'report-table');
+    const head = t.createTHead().insertRow();
+    for (const h of headers) head.appendChild(el('th', null, h));
+    const body = t.createTBody();
+    for (const cells of rows) {
+      const tr = body.insertRow();
+      for (const c of cells) tr.appendChild(el('td', null, c));
+    }
+    return t;
+  }
+
+  // report: { title, subtitle, kpis: [{ label, value }], categories: [{ name, count, share }],
+  //   highlights: [text], charts: [{ title, src }], quality: { counts: [{ label, count }],
+  //   tracks: [{ title, flags: [text] }] }, thresholds: { mode, modeLabel, metricLabel,
+  //   lowerIsBetter, Q1, Q2, Q3 }, formatNumber(n) }
+  function render(container, report) {
+    const fmt = report.formatNumber || (n => String(n));
+    container.innerHTML = '';
+    const page = el('article', 'report-page');
+
+    const header = el('header', 'report-header');
+    header.appendChild(el('h1', null, report.title));
+    if (report.subtitle) header.appendChild(el('p', 'report-subtitle', report.subtitle));
+    page.appendChild(header);
+
+    const kpis = el('div', 'report-kpis');
+    for (const k of report.kpis) {
+      const card = el('div', 'report-kpi');
+      card.appendChild(el('div', 'report-kpi-label', k.label));
+      card.appendChild(el('div', 'report-kpi-value', k.value));
+      kpis.appendChild(card);
+    }
+    page.appendChild(kpis);
+
+    const dist = section('Category distribution');
+    dist.appendChild(table(['Category', 'Tracks', 'Share'],
+      report.categories.map(c => [c.name, String(c.count), c.share])));
+    page.appendChild(dist);
+
+    if (report.highlights.length) {
+      const hl = section('Highlights');
+      const ul = el('ul', 'report-list');
+      for (const text of report.highlights) ul.appendChild(el('li', null, text));
+      hl.appendChild(ul);
+      page.appendChild(hl);
+    }
+
+    if (report.charts.length) {
+      const charts = section('Charts', true);
+      for (const c of report.charts) {
+        const fig = el('figure', 'report-figure');
+        const img = el('img');
+        img.src = c.src;
+        img.alt = c.title;
+        fig.appendChild(img);
+        fig.appendChild(el('figcaption', null, c.title));
+        charts.appendChild(fig);
+      }
+      page.appendChild(charts);
+    }
+
+    const quality = section('Appendix A: data quality', true);
+    if (report.quality.tracks.length === 0) {
+      quality.appendChild(el('p', null, 'No data quality issues were found in this dataset.'));
+    } else {
+      quality.appendChild(table(['Issue', 'Tracks'], report.quality.counts.map(c => [c.label, String(c.count)])));
+      quality.appendChild(table(['Track', 'Issues'], report.quality.tracks.map(t => [t.title, t.flags.join('; ')])));
+    }
+    page.appendChild(quality);
+
+    const defs = section('Appendix B: definitions');
+    const th = report.thresholds || {};
+    defs.appendChild(el('h3', null, `Categories: ${th.modeLabel || th.mode || 'unknown mode'}`));
+    defs.appendChild(el('p', null, MODE_DEFINITIONS[th.mode] || ''));
+    if (Number.isFinite(th.Q1)) {
+      const cmp = th.lowerIsBetter ? '≤' : '≥';
+      const cuts = th.lowerIsBetter ? [th.Q1, th.Q2, th.Q3] : [th.Q3, th.Q2, th.Q1];
+      defs.appendChild(table(['Category', `${th.metricLabel || th.metric}`], [
+        ['Excellent', `${cmp} ${fmt(cuts[0])}`],
+        ['Good', `${cmp} ${fmt(cuts[1])}`],
+        ['Average', `${cmp} ${fmt(cuts[2])}`],
+        ['Poor', 'otherwise'],
+      ]));
+    }
+    defs.appendChild(el('h3', null, 'Metrics'));
+    defs.appendChild(table(['Metric', 'Definition'], METRIC_DEFINITIONS));
+    page.appendChild(defs);
+
+    container.appendChild(page);
+  }
+
+  // Expose API
+  window.Report = {
+    render,
+  };
+})();
@@ -0,0 +1,79 @@
+/* SoundCloud Analyser - Session files
+   Handles:
+   - One JSON file holding a whole analysis: datasets (raw CSV text and processed rows),
+     category settings, title/type rules, aggregates, filters and chart settings
+   - Schema versioning: older files are upgraded step by step when opened
+   - Validation with readable errors for files that are not sessions
+*/
+
+(function () {
+  'use strict';
+
+  const FORMAT = 'soundcloud-analyser-session';
+  const VERSION = 1;
+
+  // Upgrades keyed by the version they start from: MIGRATIONS[n] turns a version n
+  // session into version n + 1. Add one whenever the layout below changes.
+  const MIGRATIONS = {};
+
+  // parts: { settings, ui, datasets, aggregates } as gathered by the app
+  function create(parts) {
+    return {
+      format: FORMAT,
+      version: VERSION,
+      savedAt: new Date().toISOString(),
+      settings: parts.settings || {},
+      ui: parts.ui || {},
+      aggregates: parts.aggregates || null,
+      datasets: parts.datasets || [],
+    };
+  }
+
+  function stringify(session) {
+    return JSON.stringify(session, null, 2);
+  }
+
+  // Parse and upgrade a session file. Throws an Error whose message can be shown to the user.
+  function parse(text) {
+    let session;
+    try {
+      session = JSON.parse(text);
+    } catch (err) {
+      throw new Error('Not a session file: the JSON could not be read');
+    }
+    if (!session || typeof session !== 'object' || session.format !== FORMAT) {
+      throw new Error('Not a session file saved by SoundCloud Analyser');
+    }
+    let version = Number(session.version);
+    if (!Number.isInteger(version) || version < 1) {
+      throw new Error('Session file has no valid schema version');
+    }
+    if (version > VERSION) {
+      throw new Error(`Session file is from a newer version (schema ${version}); this app reads up to schema ${VERSION}`);
+    }
+    while (version < VERSION) {
+      const migrate = MIGRATIONS[version];
+      if (!migrate) throw new Error(`Cannot upgrade session schema ${version}`);
+      session = migrate(session);
+      version += 1;
+      session.version = version;
+    }
+    if (!Array.isArray(session.datasets)) throw new Error('Session file has no datasets list');
+    session.datasets.forEach((ds, i) => {
+      if (!ds || typeof ds.text !== 'string') throw new Error(`Dataset ${i + 1} in the session has no CSV text`);
+      if (!ds.name) ds.name = `Dataset ${i + 1}`;
+    });
+    session.settings = session.settings || {};
+    session.ui = session.ui || {};
+    return session;
+  }
+
+  // Expose API
+  window.Session = {
+    FORMAT,
+    VERSION,
+    create,
+    stringify,
+    parse,
+  };
+})();
@@ -0,0 +1,145 @@
+/* SoundCloud Analyser - Snapshot history
+   Handles:
+   - Grouping datasets of the same artist captured on different dates into a series
+   - Matching tracks across snapshots by title (tolerant to small title edits)
+   - Per-track deltas (plays, likes, reposts, comments) between consecutive snapshots
+   - Growth rate: plays gained as % of the previous snapshot, normalized to 30 days
+*/
+
+(function () {
+  'use strict';
+
+  // Minimum title similarity (Dice on bigrams) for a fuzzy cross-snapshot match
+  const MATCH_THRESHOLD = 0.85;
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  const METRICS = ['plays', 'likes', 'reposts', 'comments'];
+
+  // Pull a YYYY-MM-DD (or YYYYMMDD) capture date out of a file name, if present
+  function dateFromFilename(filename) {
+    const m = String(filename || '').match(/(\d{4})[-_.]?(\d{2})[-_.]?(\d{2})/);
+    if (!m) return null;
+    const mo = parseInt(m[2], 10);
+    const d = parseInt(m[3], 10);
+    if (mo < 1 || mo > 12 || d < 1 || d > 31) return null;
+    return `${m[1]}-${m[2]}-${m[3]}`;
+  }
+
+  // Series key: dataset name without the capture date, so "OKTA 2025-08-30" and "OKTA" group together
+  function seriesKey(name) {
+    return String(name || '')
+      .replace(/(\d{4})[-_.]?(\d{2})[-_.]?(\d{2})/g, ' ')
+      .replace(/[@()\[\]]/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .toLowerCase();
+  }
+
+  function daysBetween(isoA, isoB) {
+    const a = Date.parse(isoA + 'T00:00:00Z');
+    const b = Date.parse(isoB + 'T00:00:00Z');
+    if (!Number.isFinite(a) || !Number.isFinite(b)) return null;
+    return Math.round((b - a) / DAY_MS);
+  }
+
+  // Find the track a row belongs to: exact normalized title first, then best fuzzy match.
+  // Tracks already claimed by another row in the same snapshot are skipped.
+  function findTrack(tracks, row, claimed) {
+    const key = Parser.normalizeTitle(row.title);
+    const exact = tracks.find(t => !claimed.has(t) && t.key === key);
+    if (exact) return exact;
+    let best = null;
+    let bestScore = MATCH_THRESHOLD;
+    for (const t of tracks) {
+      if (claimed.has(t)) continue;
+      const score = Parser.titleSimilarity(t.title, row.title);
+      if (score >= bestScore) {
+        best = t;
+        bestScore = score;
+      }
+    }
+    return best;
+  }
+
+  // Build history for one series: snapshots must already be sorted by capture date
+  function buildSeries(key, snapshots) {
+    const tracks = [];
+    for (const ds of snapshots) {
+      const claimed = new Set();
+      for (const row of ds.data.rows) {
+        let track = findTrack(tracks, row, claimed);
+        if (!track) {
+          track = { id: key + '#' + tracks.length, key: Parser.normalizeTitle(row.title), title: row.title, points: [] };
+          tracks.push(track);
+        }
+        claimed.add(track);
+        // Follow renames: the latest title wins
+        track.title = row.title;
+        track.key = Parser.normalizeTitle(row.title);
+        track.points.push({
+          date: ds.capturedAt,
+          datasetName: ds.name,
+          plays: row.plays,
+          likes: row.likes,
+          reposts: row.reposts,
+          comments: row.comments,
+          row,
+        });
+      }
+    }
+    return { key, label: snapshots[snapshots.length - 1].name, snapshots, tracks };
+  }
+
+  function annotateDeltas(track) {
+    track.points.forEach((p, i) => {
+      p.row.history_id = track.id;
+      p.row.history_points = track.points.length;
+      if (i === 0) return;
+      const prev = track.points[i - 1];
+      for (const m of METRICS) {
+        p.row[m + '_delta'] = (p[m] ?? 0) - (prev[m] ?? 0);
+      }
+      const days = daysBetween(prev.date, p.date);
+      p.row.growth_rate_pct = (prev.plays > 0 && days > 0)
+        ? (p.row.plays_delta / prev.plays) * 100 * (30 / days)
+        : null;
+    });
+  }
+
+  function resetRow(row) {
+    for (const m of METRICS) row[m + '_delta'] = null;
+    row.growth_rate_pct = null;
+    row.history_id = null;
+    row.history_points = 0;
+  }
+
+  // Compute history for all datasets. Annotates rows in place with
+  // *_delta, growth_rate_pct and history_id, and returns the list of series
+  // that have at least two dated snapshots.
+  function buildHistory(datasets) {
+    const groups = new Map();
+    for (const ds of datasets) {
+      ds.data.rows.forEach(resetRow);
+      if (!ds.capturedAt) continue;
+      const key = seriesKey(ds.name);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(ds);
+    }
+
+    const series = [];
+    for (const [key, snapshots] of groups) {
+      if (snapshots.length < 2) continue;
+      snapshots.sort((a, b) => a.capturedAt.localeCompare(b.capturedAt));
+      const s = buildSeries(key, snapshots);
+      s.tracks.forEach(annotateDeltas);
+      series.push(s);
+    }
+    return series;
+  }
+
+  // Expose API
+  window.Snapshots = {
+    dateFromFilename,
+    seriesKey,
+    buildHistory,
+  };
+})();
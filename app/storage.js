@@ -0,0 +1,78 @@
+/* SoundCloud Analyser - Workspace storage (IndexedDB)
+   Handles:
+   - Named workspaces: loaded datasets (raw CSV text, colour, visibility, capture date) plus UI state
+   - Save / load / list / delete, one record per workspace name
+   CSV text can run to megabytes across datasets, so this uses IndexedDB rather than localStorage.
+   Every call returns a Promise; callers decide how to report failures (e.g. private browsing).
+*/
+
+(function () {
+  'use strict';
+
+  const DB_NAME = 'scAnalyser';
+  const DB_VERSION = 1;
+  const STORE = 'workspaces';
+
+  let dbPromise = null;
+
+  function openDb() {
+    if (dbPromise) return dbPromise;
+    dbPromise = new Promise((resolve, reject) => {
+      if (!window.indexedDB) {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        if (!db.objectStoreNames.contains(STORE)) db.createObjectStore(STORE, { keyPath: 'name' });
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    // Allow a retry after a failed open
+    dbPromise.catch(() => { dbPromise = null; });
+    return dbPromise;
+  }
+
+  // Run one request in a transaction and resolve with its result
+  async function request(mode, makeRequest) {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE, mode);
+      const req = makeRequest(tx.objectStore(STORE));
+      tx.oncomplete = () => resolve(req.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  // Workspace record: { name, updatedAt, datasets: [...], ui: {...} }
+  function save(workspace) {
+    return request('readwrite', store => store.put(Object.assign({}, workspace, { updatedAt: new Date().toISOString() })));
+  }
+
+  function load(name) {
+    return request('readonly', store => store.get(name)).then(ws => ws || null);
+  }
+
+  function remove(name) {
+    return request('readwrite', store => store.delete(name));
+  }
+
+  // Names and sizes only, sorted by name; avoids handing CSV text around
+  async function list() {
+    const all = await request('readonly', store => store.getAll());
+    return (all || [])
+      .map(ws => ({ name: ws.name, updatedAt: ws.updatedAt, datasetCount: (ws.datasets || []).length }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  // Expose API
+  window.WorkspaceStore = {
+    save,
+    load,
+    remove,
+    list,
+  };
+})();